@@ -18,4 +18,10 @@ module.exports = {
     ],
     'react/prop-types': 'off'
   },
+  overrides: [
+    {
+      files: ['relay/**/*.js'],
+      env: { browser: false, node: true },
+    },
+  ],
 }
@@ -0,0 +1,71 @@
+// Minimal self-hosted relay for the `websocket` transport.
+//
+//   npm run relay              # listens on ws://localhost:8787
+//   PORT=9000 npm run relay
+//
+// Clients send `{ type: 'join', topic }` once, then broadcast frames
+// (`{ type: 'broadcast', topic, event, payload }`) which are forwarded to
+// every other socket that joined the same topic. Presence frames
+// (`{ type: 'presence', ... }`, see `src/utils/transports/channel.js`) are
+// forwarded the same way; the relay only notes each socket's presence key so
+// it can announce a leave when the socket drops. Nothing is stored.
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+// topic -> Set of sockets
+const topics = new Map();
+
+const wss = new WebSocketServer({ port: PORT });
+
+function forward(socket, topic, message) {
+  const frame = JSON.stringify({ ...message, topic });
+  for (const peer of topics.get(topic)) {
+    if (peer !== socket && peer.readyState === peer.OPEN) peer.send(frame);
+  }
+}
+
+wss.on('connection', (socket) => {
+  let topic = null;
+  let presenceKey = null;
+
+  const leave = () => {
+    if (!topic) return;
+    if (presenceKey) {
+      forward(socket, topic, { type: 'presence', event: 'leave', key: presenceKey });
+      presenceKey = null;
+    }
+    const peers = topics.get(topic);
+    peers.delete(socket);
+    if (peers.size === 0) topics.delete(topic);
+    topic = null;
+  };
+
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    if (message.type === 'join') {
+      leave();
+      topic = String(message.topic);
+      if (!topics.has(topic)) topics.set(topic, new Set());
+      topics.get(topic).add(socket);
+      return;
+    }
+
+    if (!topic) return;
+    if (message.type === 'presence') {
+      if (message.event === 'state') presenceKey = String(message.key);
+      if (message.event === 'leave') presenceKey = null;
+    }
+    forward(socket, topic, message);
+  });
+
+  socket.on('close', leave);
+});
+
+console.log(`TAWI relay listening on ws://localhost:${PORT}`);
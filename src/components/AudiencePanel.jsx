@@ -0,0 +1,104 @@
+import { useEffect, useState } from 'react';
+import { REACTIONS, REACTION_WINDOW } from '../utils/feedback';
+import { getLanguageName } from '../utils/languages';
+import { formatTime } from '../utils/utils';
+
+// How often reaction counts are refreshed while some are recent
+const TICK_INTERVAL = 5000; // ms
+
+// Questions and reactions from listeners (see `feedback.js`), newest first.
+// The broadcaster can mark questions answered, hide them, or block a
+// listener altogether.
+export default function AudiencePanel({
+  questions,
+  reactions,
+  dropped,
+  blocked,
+  onAnswered,
+  onHide,
+  onBlock,
+}) {
+  const [now, setNow] = useState(Date.now);
+  const recent = reactions.filter((reaction) => now - reaction.receivedAt < REACTION_WINDOW);
+
+  useEffect(() => {
+    if (reactions.length === 0) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [reactions]);
+
+  const counts = {};
+  for (const { reaction } of recent) counts[reaction] = (counts[reaction] ?? 0) + 1;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(REACTIONS).map(([reaction, label]) => (
+          <span
+            key={reaction}
+            className={`px-3 py-1 text-sm rounded-lg font-medium ${
+              counts[reaction] ? 'bg-accent/20 text-accent-dark' : 'bg-white/50 text-primary-700'
+            }`}
+            title="In the last minute"
+          >
+            {label}: {counts[reaction] ?? 0}
+          </span>
+        ))}
+      </div>
+
+      <div className="max-h-80 overflow-y-auto scrollbar-thin space-y-2">
+        {questions.length === 0 && (
+          <p className="text-sm text-primary-700">No questions yet</p>
+        )}
+        {questions.map((question) => (
+          <div
+            key={question.feedbackId}
+            className={`p-3 bg-white/50 rounded-xl space-y-1 ${question.answered ? 'opacity-50' : ''}`}
+          >
+            <div className="flex items-baseline justify-between space-x-3">
+              <p className="font-medium text-primary-900">{question.text}</p>
+              <time className="flex-shrink-0 text-xs text-primary-700 tabular-nums">
+                {formatTime(question.receivedAt)}
+              </time>
+            </div>
+            {question.original && (
+              <p className="text-sm text-primary-700">
+                {getLanguageName(question.originalLanguage) ?? question.originalLanguage}:{' '}
+                {question.original}
+              </p>
+            )}
+            <div className="flex space-x-3 text-sm">
+              <button
+                className="text-primary-700 hover:text-accent-dark underline"
+                onClick={() => onAnswered(question.feedbackId)}
+              >
+                {question.answered ? 'Not answered' : 'Answered'}
+              </button>
+              <button
+                className="text-primary-700 hover:text-accent-dark underline"
+                onClick={() => onHide(question.feedbackId)}
+              >
+                Hide
+              </button>
+              <button
+                className="text-red-700 hover:text-red-900 underline"
+                onClick={() => onBlock(question.listenerId)}
+              >
+                Block listener
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {(dropped > 0 || blocked > 0) && (
+        <p className="text-sm text-primary-700">
+          {dropped > 0 && `${dropped} dropped for sending too often`}
+          {dropped > 0 && blocked > 0 && ' · '}
+          {blocked > 0 && `${blocked} blocked ${blocked === 1 ? 'listener' : 'listeners'}`}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+// Full-page message for a setup that can't work, e.g. a transport missing
+// its settings, instead of a blank page
+export default function ConfigurationError({ error }) {
+  return (
+    <div className="min-h-screen flex items-center justify-center p-6 bg-gradient-to-br from-primary-400 via-accent-light to-primary-600">
+      <div className="w-full max-w-2xl backdrop-blur-sm bg-red-50/80 rounded-2xl p-6 shadow-xl border border-red-200" role="alert">
+        <h2 className="text-lg font-semibold text-red-900">This link is misconfigured</h2>
+        <p className="text-red-800">{error.message}</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { EXPORT_FORMATS, downloadFile, exportSegments } from '../utils/exporters';
+import { getLanguageName } from '../utils/languages';
+
+// Download the session's segments in one of the supported formats.
+// Pass `translationLanguages` to offer translated captions as well, and
+// `origin` for segments timed relative to a recording (see `exporters.js`).
+export default function ExportMenu({
+  getSegments,
+  filename,
+  translationLanguages = [],
+  metadata,
+  origin,
+}) {
+  const [content, setContent] = useState('source');
+  const [selectedLanguage, setSelectedLanguage] = useState(null);
+  const translationLanguage = translationLanguages.includes(selectedLanguage)
+    ? selectedLanguage
+    : translationLanguages[0];
+
+  const onExport = (format) => {
+    const segments = getSegments();
+    const { extension, mime } = EXPORT_FORMATS[format];
+    const data = exportSegments(format, segments, {
+      content,
+      translationLanguage,
+      metadata,
+      origin,
+    });
+    downloadFile(`${filename}.${extension}`, data, mime);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      {translationLanguage && (
+        <div className="relative">
+          <select
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            className="appearance-none w-40 px-4 py-2 bg-white/50 border border-white/50 text-primary-900 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+          >
+            <option value="source" className="bg-white text-primary-900">Original</option>
+            <option value="translation" className="bg-white text-primary-900">Translation</option>
+            <option value="both" className="bg-white text-primary-900">Both</option>
+          </select>
+          <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-primary-900">
+            <svg className="h-4 w-4 fill-current" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20">
+              <path d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" />
+            </svg>
+          </div>
+        </div>
+      )}
+      {translationLanguages.length > 1 && content !== 'source' && (
+        <div className="relative">
+          <select
+            value={translationLanguage}
+            onChange={(e) => setSelectedLanguage(e.target.value)}
+            className="appearance-none w-40 px-4 py-2 bg-white/50 border border-white/50 text-primary-900 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+          >
+            {translationLanguages.map((language) => (
+              <option key={language} value={language} className="bg-white text-primary-900">
+                {getLanguageName(language)}
+              </option>
+            ))}
+          </select>
+          <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-primary-900">
+            <svg className="h-4 w-4 fill-current" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20">
+              <path d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" />
+            </svg>
+          </div>
+        </div>
+      )}
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <button
+          key={format}
+          className="px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors font-medium"
+          onClick={() => onExport(format)}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { MAX_QUESTION_LENGTH, REACTIONS } from '../utils/feedback';
+import { getLanguageName } from '../utils/languages';
+
+const STATUS_TEXT = {
+  translating: 'Translating your question...',
+  sent: 'Sent to the speaker',
+  limited: 'You are sending a lot. Wait a moment and try again.',
+};
+
+// Quick reactions and a typed question for the broadcaster. `language` is
+// what the listener writes in and `speakerLanguage` what it is translated
+// into before sending (if known). `onAsk` returns whether the question was
+// accepted, so it is only cleared then.
+export default function FeedbackForm({ language, speakerLanguage, status, onReact, onAsk }) {
+  const [question, setQuestion] = useState('');
+  const translated = speakerLanguage && speakerLanguage !== language;
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (question.trim() && onAsk(question.trim())) setQuestion('');
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(REACTIONS).map(([reaction, label]) => (
+          <button
+            key={reaction}
+            className="px-3 py-1 text-sm bg-white/50 text-primary-900 rounded-lg hover:bg-white/70 transition-colors font-medium"
+            onClick={() => onReact(reaction)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <form className="flex space-x-3" onSubmit={submit}>
+        <input
+          type="text"
+          value={question}
+          maxLength={MAX_QUESTION_LENGTH}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder={`Ask a question in ${getLanguageName(language) ?? 'your language'}`}
+          className="flex-1 px-4 py-2 bg-white/50 border border-white/50 text-primary-900 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          disabled={!question.trim() || status === 'translating'}
+        >
+          Send
+        </button>
+      </form>
+      <p className="text-sm text-primary-700">
+        {STATUS_TEXT[status] ??
+          (translated
+            ? `Questions are translated into ${getLanguageName(speakerLanguage)} before they are sent.`
+            : 'Only the speaker sees what you send.')}
+      </p>
+    </div>
+  );
+}
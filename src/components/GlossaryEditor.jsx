@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { LANGUAGES } from '../utils/languages';
+import { cleanGlossary } from '../utils/glossary';
+import { MAX_GLOSSARY_ENTRIES, MAX_TERM_LENGTH } from '../utils/protocol';
+
+const inputClassName =
+  'w-full px-3 py-2 bg-white/50 border border-white/50 text-primary-900 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+const EMPTY_ENTRY = { source: '', target: '', language: '' };
+
+// Rows of term, translation and language (see `glossary.js`). Like the
+// model settings, changes only take effect on "Apply", which also shares
+// them with listeners.
+export default function GlossaryEditor({ entries, onApply }) {
+  const [draft, setDraft] = useState(() =>
+    entries.map((entry) => ({ ...EMPTY_ENTRY, ...entry }))
+  );
+  const cleaned = cleanGlossary(draft);
+  const changed = JSON.stringify(cleaned) !== JSON.stringify(entries);
+  const update = (index, field, value) =>
+    setDraft((prev) => prev.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+
+  return (
+    <div className="space-y-3">
+      {draft.length > 0 && (
+        <div className="grid grid-cols-[1fr_1fr_12rem_2rem] gap-2 items-center text-sm font-medium text-primary-900">
+          <span>Term</span>
+          <span>Translation</span>
+          <span>In</span>
+          <span />
+          {draft.map((entry, i) => (
+            <div key={i} className="contents">
+              <input
+                type="text"
+                value={entry.source}
+                maxLength={MAX_TERM_LENGTH}
+                onChange={(e) => update(i, 'source', e.target.value)}
+                placeholder="e.g. Tawi"
+                className={inputClassName}
+              />
+              <input
+                type="text"
+                value={entry.target}
+                maxLength={MAX_TERM_LENGTH}
+                onChange={(e) => update(i, 'target', e.target.value)}
+                placeholder="Keep as is"
+                className={inputClassName}
+              />
+              <select
+                value={entry.language}
+                onChange={(e) => update(i, 'language', e.target.value)}
+                className={`appearance-none ${inputClassName}`}
+              >
+                <option value="" className="bg-white text-primary-900">
+                  All languages
+                </option>
+                {Object.entries(LANGUAGES).map(([name, code]) => (
+                  <option key={code} value={code} className="bg-white text-primary-900">
+                    {name}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="w-8 h-8 flex items-center justify-center bg-white/50 text-primary-900 rounded-lg hover:bg-white/70 transition-colors"
+                title="Remove term"
+                onClick={() => setDraft((prev) => prev.filter((_, j) => j !== i))}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="flex items-center justify-between">
+        <button
+          className="px-4 py-2 bg-white/50 text-primary-900 rounded-lg hover:bg-white/70 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={() => setDraft((prev) => [...prev, EMPTY_ENTRY])}
+          disabled={draft.length >= MAX_GLOSSARY_ENTRIES}
+        >
+          Add term
+        </button>
+        <div className="flex space-x-3">
+          {changed && (
+            <button
+              className="px-4 py-2 bg-white/50 text-primary-900 rounded-lg hover:bg-white/70 transition-colors font-medium"
+              onClick={() => setDraft(entries.map((entry) => ({ ...EMPTY_ENTRY, ...entry })))}
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            className="px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={() => onApply(cleaned)}
+            disabled={!changed}
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
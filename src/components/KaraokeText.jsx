@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+
+// How often highlighting moves on while words are still to come
+const TICK_INTERVAL = 100; // ms
+
+// Text whose words light up as they were spoken, `delay` ms later so the
+// highlight doesn't run ahead of a transcript that arrives after the words
+// (see `protocol.js` for `words`).
+export default function KaraokeText({ words, delay, className = '' }) {
+  const [now, setNow] = useState(Date.now);
+  const pending = words.some((word) => word.start + delay > now);
+
+  useEffect(() => {
+    if (!pending) return;
+    const timer = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [pending]);
+
+  return (
+    <p className={className}>
+      {words.map((word, i) => (
+        <span
+          key={i}
+          className={`transition-colors ${word.start + delay <= now ? '' : 'text-primary-800/40'}`}
+        >
+          {word.text}
+        </span>
+      ))}
+    </p>
+  );
+}
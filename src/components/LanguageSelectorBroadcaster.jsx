@@ -111,6 +111,10 @@ const LANGUAGES = {
     jw: "javanese",
     su: "sundanese",
 };
+
+// Value for letting Whisper detect the language of each utterance
+export const AUTO_DETECT = 'auto';
+
 export function LanguageSelector({ language, setLanguage }) {
     const handleLanguageChange = (event) => {
         setLanguage(event.target.value);
@@ -125,6 +129,9 @@ export function LanguageSelector({ language, setLanguage }) {
                 value={language}
                 onChange={handleLanguageChange}
             >
+                <option value={AUTO_DETECT} className="bg-white text-primary-900">
+                    Auto-detect
+                </option>
                 {Object.keys(LANGUAGES).map((key, i) => (
                     <option key={key} value={key} className="bg-white text-primary-900">
                         {names[i]}
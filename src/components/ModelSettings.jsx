@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import {
+  DTYPES,
+  MAX_NEW_TOKENS_LIMIT,
+  WHISPER_MODELS,
+  describeModel,
+} from '../utils/modelSettings';
+
+const selectClassName =
+  'appearance-none w-full px-4 py-2 bg-white/50 border border-white/50 text-primary-900 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+function Field({ label, children }) {
+  return (
+    <label className="flex flex-col space-y-1 text-sm font-medium text-primary-900">
+      <span>{label}</span>
+      {children}
+    </label>
+  );
+}
+
+function Select({ value, options, onChange }) {
+  return (
+    <div className="relative">
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={selectClassName}>
+        {options.map((option) => (
+          <option key={option} value={option} className="bg-white text-primary-900">
+            {option}
+          </option>
+        ))}
+      </select>
+      <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-primary-900">
+        <svg className="h-4 w-4 fill-current" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20">
+          <path d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" />
+        </svg>
+      </div>
+    </div>
+  );
+}
+
+// Whisper model, precision, output length and word timestamps. Changes only
+// take effect on "Apply", since switching models means downloading and
+// loading it.
+export default function ModelSettings({ device, settings, onApply }) {
+  const [draft, setDraft] = useState(settings);
+  const changed = JSON.stringify(draft) !== JSON.stringify(settings);
+  const { parameters, size, englishOnly } = describeModel(draft);
+  const setDtype = (part, value) =>
+    setDraft((prev) => ({ ...prev, dtype: { ...prev.dtype, [part]: value } }));
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <Field label="Model">
+          <Select
+            value={draft.model}
+            options={Object.keys(WHISPER_MODELS)}
+            onChange={(model) => setDraft((prev) => ({ ...prev, model }))}
+          />
+        </Field>
+        <Field label="Encoder precision">
+          <Select
+            value={draft.dtype.encoder_model}
+            options={DTYPES[device]}
+            onChange={(value) => setDtype('encoder_model', value)}
+          />
+        </Field>
+        <Field label="Decoder precision">
+          <Select
+            value={draft.dtype.decoder_model_merged}
+            options={DTYPES[device]}
+            onChange={(value) => setDtype('decoder_model_merged', value)}
+          />
+        </Field>
+        <Field label="Max new tokens">
+          <input
+            type="number"
+            min="1"
+            max={MAX_NEW_TOKENS_LIMIT}
+            value={draft.max_new_tokens}
+            onChange={(e) =>
+              setDraft((prev) => ({
+                ...prev,
+                max_new_tokens: Math.min(
+                  MAX_NEW_TOKENS_LIMIT,
+                  Math.max(1, Math.round(Number(e.target.value)) || 1)
+                ),
+              }))
+            }
+            className="w-full px-4 py-2 bg-white/50 border border-white/50 text-primary-900 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+          />
+        </Field>
+      </div>
+      <label className="flex items-center space-x-2 text-sm font-medium text-primary-900">
+        <input
+          type="checkbox"
+          checked={draft.word_timestamps}
+          onChange={(e) => setDraft((prev) => ({ ...prev, word_timestamps: e.target.checked }))}
+        />
+        <span>Word timestamps (karaoke captions and word-accurate subtitles)</span>
+      </label>
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-primary-700">
+          {parameters} parameters, {size} download
+          {englishOnly && ', English only'}
+        </p>
+        <div className="flex space-x-3">
+          {changed && (
+            <button
+              className="px-4 py-2 bg-white/50 text-primary-900 rounded-lg hover:bg-white/70 transition-colors font-medium"
+              onClick={() => setDraft(settings)}
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            className="px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={() => onApply(draft)}
+            disabled={!changed}
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
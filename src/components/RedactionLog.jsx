@@ -0,0 +1,47 @@
+import { DETECTORS } from '../utils/redaction';
+import { downloadFile } from '../utils/exporters';
+import { formatTime } from '../utils/utils';
+
+// What was redacted this session, newest first. It only ever lives on this
+// page, since it holds exactly what must not be broadcast.
+export default function RedactionLog({ entries, filename, onClear }) {
+  const download = () => {
+    const data = entries.map(({ time, ...entry }) => ({ time: new Date(time).toISOString(), ...entry }));
+    downloadFile(`${filename}.json`, JSON.stringify(data, null, 2), 'application/json');
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-primary-900">Redacted this session</h3>
+        {entries.length > 0 && (
+          <div className="flex space-x-3 text-sm">
+            <button className="text-primary-700 hover:text-accent-dark underline" onClick={download}>
+              Download
+            </button>
+            <button className="text-primary-700 hover:text-accent-dark underline" onClick={onClear}>
+              Clear
+            </button>
+          </div>
+        )}
+      </div>
+      {entries.length === 0 ? (
+        <p className="text-sm text-primary-700">Nothing yet</p>
+      ) : (
+        <ul className="max-h-60 overflow-y-auto scrollbar-thin space-y-1 text-sm text-primary-900">
+          {entries.map((entry, i) => (
+            <li key={i} className="flex items-baseline space-x-3">
+              <time className="flex-shrink-0 text-xs text-primary-700 tabular-nums">
+                {formatTime(entry.time)}
+              </time>
+              <span className="flex-shrink-0 text-primary-700">
+                {DETECTORS[entry.kind] ?? 'Custom'}
+              </span>
+              <span className="font-medium break-all">{entry.text}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
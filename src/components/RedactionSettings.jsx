@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import {
+  DETECTORS,
+  MASKING_STYLES,
+  MAX_REDACTION_RULES,
+  validatePattern,
+} from '../utils/redaction';
+
+const textareaClassName =
+  'w-full h-24 px-3 py-2 bg-white/50 border border-white/50 text-primary-900 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 font-mono text-sm';
+
+// One item per line, blank lines dropped
+const toLines = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .slice(0, MAX_REDACTION_RULES);
+
+// What is redacted and how (see `redaction.js`). Like the model settings,
+// changes only take effect on "Apply".
+export default function RedactionSettings({ settings, onApply }) {
+  const [draft, setDraft] = useState(settings);
+  const [words, setWords] = useState(settings.words.join('\n'));
+  const [patterns, setPatterns] = useState(settings.patterns.join('\n'));
+  const next = { ...draft, words: toLines(words), patterns: toLines(patterns) };
+  const changed = JSON.stringify(next) !== JSON.stringify(settings);
+  const errors = next.patterns
+    .map((pattern) => [pattern, validatePattern(pattern)])
+    .filter(([, error]) => error);
+
+  const cancel = () => {
+    setDraft(settings);
+    setWords(settings.words.join('\n'));
+    setPatterns(settings.patterns.join('\n'));
+  };
+
+  return (
+    <div className="space-y-4">
+      <label className="flex items-center space-x-2 text-primary-900 font-medium">
+        <input
+          type="checkbox"
+          checked={draft.enabled}
+          onChange={(e) => setDraft((prev) => ({ ...prev, enabled: e.target.checked }))}
+        />
+        <span>Enabled</span>
+      </label>
+      <div className="flex flex-wrap gap-x-6 gap-y-2">
+        {Object.entries(DETECTORS).map(([kind, label]) => (
+          <label key={kind} className="flex items-center space-x-2 text-sm font-medium text-primary-900">
+            <input
+              type="checkbox"
+              checked={draft.detectors[kind]}
+              disabled={!draft.enabled}
+              onChange={(e) =>
+                setDraft((prev) => ({
+                  ...prev,
+                  detectors: { ...prev.detectors, [kind]: e.target.checked },
+                }))
+              }
+            />
+            <span>{label}</span>
+          </label>
+        ))}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <label className="flex flex-col space-y-1 text-sm font-medium text-primary-900">
+          <span>Words and phrases, one per line</span>
+          <textarea
+            value={words}
+            disabled={!draft.enabled}
+            onChange={(e) => setWords(e.target.value)}
+            placeholder="Project Falcon"
+            className={textareaClassName}
+          />
+        </label>
+        <label className="flex flex-col space-y-1 text-sm font-medium text-primary-900">
+          <span>Regular expressions, one per line</span>
+          <textarea
+            value={patterns}
+            disabled={!draft.enabled}
+            onChange={(e) => setPatterns(e.target.value)}
+            placeholder="ACME-\d{4}"
+            className={textareaClassName}
+          />
+        </label>
+      </div>
+      {errors.map(([pattern, error]) => (
+        <p key={pattern} className="text-sm text-red-700">
+          <code>{pattern}</code>: {error}
+        </p>
+      ))}
+      <div className="flex items-center justify-between">
+        <label className="flex items-center space-x-2 text-sm font-medium text-primary-900">
+          <span>Mask with</span>
+          <select
+            value={draft.style}
+            disabled={!draft.enabled}
+            onChange={(e) => setDraft((prev) => ({ ...prev, style: e.target.value }))}
+            className="px-3 py-2 bg-white/50 border border-white/50 text-primary-900 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+          >
+            {Object.entries(MASKING_STYLES).map(([style, label]) => (
+              <option key={style} value={style} className="bg-white text-primary-900">
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="flex space-x-3">
+          {changed && (
+            <button
+              className="px-4 py-2 bg-white/50 text-primary-900 rounded-lg hover:bg-white/70 transition-colors font-medium"
+              onClick={cancel}
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            className="px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={() => onApply(next)}
+            disabled={!changed || errors.length > 0}
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import { useEffect, useState } from 'react';
+import { getLanguageName } from '../utils/languages';
+import { voicesFor } from '../utils/speech';
+
+const selectClassName =
+  'appearance-none w-48 px-4 py-2 bg-white/50 border border-white/50 text-primary-900 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+function Select({ value, onChange, children }) {
+  return (
+    <div className="relative">
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={selectClassName}>
+        {children}
+      </select>
+      <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-primary-900">
+        <svg className="h-4 w-4 fill-current" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20">
+          <path d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" />
+        </svg>
+      </div>
+    </div>
+  );
+}
+
+// Browsers load their voices asynchronously, sometimes after the first call
+function useVoices() {
+  const [voices, setVoices] = useState(() => speechSynthesis.getVoices());
+  useEffect(() => {
+    const onChange = () => setVoices(speechSynthesis.getVoices());
+    speechSynthesis.addEventListener('voiceschanged', onChange);
+    return () => speechSynthesis.removeEventListener('voiceschanged', onChange);
+  }, []);
+  return voices;
+}
+
+// Settings for reading translations aloud: `settings` is
+// `{ enabled, language, voiceURI, rate, volume, skipToLatest }`.
+export default function SpeechControls({ settings, languages, onChange, backlog, onSkip }) {
+  const voices = voicesFor(useVoices(), settings.language);
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center space-x-2 text-primary-900 font-medium">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />
+          <span>Speak translations</span>
+        </label>
+        {languages.length > 1 && (
+          <Select value={settings.language} onChange={(language) => update({ language, voiceURI: '' })}>
+            {languages.map((language) => (
+              <option key={language} value={language} className="bg-white text-primary-900">
+                {getLanguageName(language)}
+              </option>
+            ))}
+          </Select>
+        )}
+        {voices.length > 0 ? (
+          <Select value={settings.voiceURI} onChange={(voiceURI) => update({ voiceURI })}>
+            <option value="" className="bg-white text-primary-900">Default voice</option>
+            {voices.map((voice) => (
+              <option key={voice.voiceURI} value={voice.voiceURI} className="bg-white text-primary-900">
+                {voice.name}
+              </option>
+            ))}
+          </Select>
+        ) : (
+          <span className="text-sm text-primary-700">
+            No voice for {getLanguageName(settings.language)} on this device
+          </span>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-6 text-sm font-medium text-primary-900">
+        <label className="flex items-center space-x-2">
+          <span>Rate</span>
+          <input
+            type="range"
+            min="0.5"
+            max="2"
+            step="0.1"
+            value={settings.rate}
+            onChange={(e) => update({ rate: Number(e.target.value) })}
+          />
+          <span className="w-8">{settings.rate.toFixed(1)}×</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>Volume</span>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={settings.volume}
+            onChange={(e) => update({ volume: Number(e.target.value) })}
+          />
+        </label>
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={settings.skipToLatest}
+            onChange={(e) => update({ skipToLatest: e.target.checked })}
+          />
+          <span>Always skip to latest</span>
+        </label>
+        {backlog > 1 && (
+          <button
+            className="px-3 py-1 bg-white/50 rounded-lg hover:bg-white/70 transition-colors"
+            onClick={onSkip}
+          >
+            Skip to latest ({backlog - 1} waiting)
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import LanguageSelector from './LanguageSelectorReceiver';
+import { LANGUAGES } from '../utils/languages';
+
+export const MAX_TARGET_LANGUAGES = 4;
+
+// Offered first when adding a language
+const SUGGESTED_LANGUAGES = ['eng_Latn', 'fra_Latn', 'swh_Latn', 'spa_Latn', 'arb_Arab'];
+
+export default function TargetLanguages({ languages, onChange }) {
+  const add = () => {
+    const next = [...SUGGESTED_LANGUAGES, ...Object.values(LANGUAGES)].find(
+      (language) => !languages.includes(language)
+    );
+    onChange([...languages, next]);
+  };
+
+  return (
+    <div className="flex flex-col items-end space-y-2">
+      {languages.map((language, i) => (
+        <div key={language} className="flex items-center space-x-2">
+          <LanguageSelector
+            type={i === 0 ? 'Target' : `Target ${i + 1}`}
+            defaultLanguage={language}
+            onChange={(x) => {
+              const value = x.target.value;
+              // Selecting a language that's already shown just drops this row
+              onChange(
+                languages.includes(value)
+                  ? languages.filter((_, j) => j !== i)
+                  : languages.map((l, j) => (j === i ? value : l))
+              );
+            }}
+          />
+          {languages.length > 1 && (
+            <button
+              className="w-8 h-8 flex items-center justify-center bg-white/50 text-primary-900 rounded-lg hover:bg-white/70 transition-colors"
+              title="Remove language"
+              onClick={() => onChange(languages.filter((_, j) => j !== i))}
+            >
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+      {languages.length < MAX_TARGET_LANGUAGES && (
+        <button
+          className="px-3 py-1 text-sm bg-white/50 text-primary-900 rounded-lg hover:bg-white/70 transition-colors font-medium"
+          onClick={add}
+        >
+          + Add language
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import { useEffect, useRef, useState } from 'react';
+import KaraokeText from './KaraokeText';
+import { formatTime } from '../utils/utils';
+import { getLanguageName } from '../utils/languages';
+
+// Distance from the bottom (in px) within which we consider the user to be
+// following the live transcript.
+const FOLLOW_THRESHOLD = 48;
+
+// `layout` is 'stacked' (one line per target language under the original)
+// or 'columns' (one column per target language, for projectors).
+// `formatStart` turns a segment's `start` into the time shown next to it.
+// Segments name their `speaker` when a channel has several broadcasters.
+// Segments with `words` are highlighted word by word, `wordDelay` ms after
+// they were spoken, when it is given.
+export default function TranscriptHistory({
+  items,
+  targetLanguages,
+  layout = 'stacked',
+  formatStart = formatTime,
+  wordDelay = null,
+}) {
+  const containerRef = useRef(null);
+  const [following, setFollowing] = useState(true);
+
+  const scrollToBottom = () => {
+    const container = containerRef.current;
+    if (container) container.scrollTop = container.scrollHeight;
+  };
+
+  // Keep the newest segment in view unless the user scrolled up to read.
+  useEffect(() => {
+    if (following) scrollToBottom();
+  }, [items, following]);
+
+  const onScroll = () => {
+    const { scrollTop, scrollHeight, clientHeight } = containerRef.current;
+    setFollowing(scrollHeight - scrollTop - clientHeight < FOLLOW_THRESHOLD);
+  };
+
+  return (
+    <div className="relative">
+      <div
+        ref={containerRef}
+        onScroll={onScroll}
+        className="w-full h-96 overflow-y-auto scrollbar-thin overflow-wrap-anywhere rounded-xl bg-white/50 p-4 space-y-4"
+      >
+        {items.length === 0 && (
+          <p className="font-medium text-primary-900">Waiting for broadcast...</p>
+        )}
+        {items.map((item) => (
+          <div
+            key={item.segmentId}
+            className={`space-y-1 ${item.isFinal ? '' : 'opacity-70'}`}
+          >
+            <div className="flex items-baseline space-x-3">
+              <time className="flex-shrink-0 text-xs font-medium text-primary-700 tabular-nums">
+                {formatStart(item.start)}
+              </time>
+              {item.speaker && (
+                <span className="flex-shrink-0 text-sm font-semibold text-accent-dark">
+                  {item.speaker}
+                </span>
+              )}
+              {item.languageConfidence != null && (
+                <span
+                  className="flex-shrink-0 text-xs font-semibold uppercase text-primary-700"
+                  title={`Detected with ${Math.round(item.languageConfidence * 100)}% confidence`}
+                >
+                  {getLanguageName(item.src_lang) ?? '?'}
+                </span>
+              )}
+              {wordDelay != null && item.words?.length > 0 ? (
+                <KaraokeText words={item.words} delay={wordDelay} className="text-primary-800" />
+              ) : (
+                <p className="text-primary-800">{item.text}</p>
+              )}
+            </div>
+            <div
+              className={`pl-[4.5rem] ${layout === 'columns' ? 'grid gap-4' : 'space-y-1'}`}
+              style={
+                layout === 'columns'
+                  ? { gridTemplateColumns: `repeat(${targetLanguages.length}, minmax(0, 1fr))` }
+                  : undefined
+              }
+            >
+              {targetLanguages.map((language) => (
+                <p key={language} className="font-medium text-primary-900">
+                  {targetLanguages.length > 1 && (
+                    <span className="mr-2 text-xs font-semibold uppercase text-accent-dark">
+                      {getLanguageName(language)}
+                    </span>
+                  )}
+                  {item.translations[language] ?? '…'}
+                </p>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      {!following && (
+        <button
+          className="absolute bottom-4 left-1/2 -translate-x-1/2 px-4 py-2 bg-primary-500 text-white text-sm rounded-lg shadow-lg hover:bg-primary-600 transition-colors font-medium"
+          onClick={() => {
+            setFollowing(true);
+            scrollToBottom();
+          }}
+        >
+          Jump to live ↓
+        </button>
+      )}
+    </div>
+  );
+}
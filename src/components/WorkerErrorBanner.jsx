@@ -0,0 +1,36 @@
+import { describeError } from '../utils/workerErrors';
+
+// Shows an `error` message from one of the workers (see `workerErrors.js`).
+// `restarting` says the worker is already being replaced automatically.
+export default function WorkerErrorBanner({ title, error, restarting, onRetry, onDismiss }) {
+  return (
+    <div className="w-full backdrop-blur-sm bg-red-50/80 rounded-2xl p-6 shadow-xl border border-red-200" role="alert">
+      <div className="flex items-start justify-between space-x-4">
+        <div className="space-y-1">
+          <h2 className="text-lg font-semibold text-red-900">{title}</h2>
+          <p className="text-red-800">
+            {describeError(error.code)}
+            {restarting && ' Restarting...'}
+          </p>
+          <p className="text-xs text-red-700 break-all">{error.message}</p>
+        </div>
+        <div className="flex flex-shrink-0 space-x-2">
+          {!restarting && onRetry && (
+            <button
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-medium"
+              onClick={onRetry}
+            >
+              Retry
+            </button>
+          )}
+          <button
+            className="px-4 py-2 bg-white/70 text-red-900 rounded-lg hover:bg-white transition-colors font-medium"
+            onClick={onDismiss}
+          >
+            Dismiss
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  GLOSSARY_EVENT,
+  SYNC_REQUEST_EVENT,
+  SYNC_RESPONSE_EVENT,
+  TRANSCRIPT_EVENT,
+  TRANSLATION_EVENT,
+  TranscriptSequencer,
+  createSyncRequest,
+  validateGlossary,
+  validateSyncResponse,
+  validateTranslation,
+} from '../utils/protocol';
+import { createEncryptedChannel, importKey, isEncryptedPayload } from '../utils/encryption';
+
+// Listens on the broadcast channel `channelId` the way the receiver and the
+// overlay do: transcripts are put in order and deduplicated, invalid
+// messages are dropped and, when the link carries a `key`, everything is
+// end-to-end encrypted (see `encryption.js`). Once subscribed, it asks the
+// broadcasters for what was said since `since` under `requestId`; they send
+// their glossary in answer, too.
+//
+// The handlers may change from render to render:
+//
+//   onTranscript(payload)           a new transcript, or a revision of one
+//   onTranslation(payload)          a translation made by the broadcaster
+//   onCatchUp(sessionId, segments)  segments of a sync response for us that
+//                                   weren't seen yet
+//   onSubscribed(channel)           e.g. to announce our presence
+//
+// Returns the channel in a ref (null until set up), for sending, along with
+//
+//   encryption  'encrypted' when the link carries the key, 'invalid-key'
+//               when that key is unusable and 'locked' when the channel
+//               turns out to be encrypted but the link has no key
+//   rejected    messages dropped because they failed to decrypt or weren't
+//               encrypted
+//   missed      transcripts lost on the way
+//   glossary()  the glossary entries (see `glossary.js`) of all broadcasters
+export function useChannelTranscripts(transport, channelId, { key, requestId, since = 0, ...handlers }) {
+  const [encryption, setEncryption] = useState(key ? 'encrypted' : null);
+  const [rejected, setRejected] = useState(0);
+  const [missed, setMissed] = useState(0);
+  const channelRef = useRef(null);
+  // Glossary entries of each broadcaster, by session
+  const glossaries = useRef({});
+
+  // Refreshed on every render, so the channel always calls the latest
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+  const sync = useRef(null);
+  sync.current = { requestId, since };
+
+  useEffect(() => {
+    let channel = transport.channel(channelId);
+    if (key) {
+      const cryptoKey = importKey(key);
+      cryptoKey.catch(() => setEncryption('invalid-key'));
+      channel = createEncryptedChannel(channel, channelId, cryptoKey, {
+        onReject: (error) => {
+          console.warn('Rejecting message that could not be decrypted:', error);
+          setRejected((prev) => prev + 1);
+        },
+      });
+    }
+    const sequencer = new TranscriptSequencer();
+    channel
+      .on('broadcast', { event: TRANSCRIPT_EVENT }, ({ payload }) => {
+        if (isEncryptedPayload(payload)) {
+          setEncryption('locked');
+          return;
+        }
+        const { status, error, gap } = sequencer.accept(payload);
+        if (gap > 0) setMissed((prev) => prev + gap);
+        if (status === 'invalid') {
+          console.warn('Ignoring invalid transcript:', error);
+          return;
+        }
+        if (status === 'duplicate') return;
+        handlersRef.current.onTranscript?.(payload);
+      })
+      .on('broadcast', { event: SYNC_RESPONSE_EVENT }, ({ payload }) => {
+        const error = validateSyncResponse(payload);
+        if (error) {
+          console.warn('Ignoring invalid sync response:', error);
+          return;
+        }
+        if (!payload.requestIds.includes(sync.current.requestId)) return;
+        const segments = payload.segments.filter((segment) =>
+          sequencer.remember(payload.sessionId, segment)
+        );
+        if (segments.length > 0) handlersRef.current.onCatchUp?.(payload.sessionId, segments);
+      })
+      .on('broadcast', { event: GLOSSARY_EVENT }, ({ payload }) => {
+        const error = validateGlossary(payload);
+        if (error) {
+          console.warn('Ignoring invalid glossary:', error);
+          return;
+        }
+        // Used for what is translated from now on
+        glossaries.current = { ...glossaries.current, [payload.sessionId]: payload.entries };
+      })
+      .on('broadcast', { event: TRANSLATION_EVENT }, ({ payload }) => {
+        if (isEncryptedPayload(payload)) return;
+        const error = validateTranslation(payload);
+        if (error) {
+          console.warn('Ignoring invalid translation:', error);
+          return;
+        }
+        handlersRef.current.onTranslation?.(payload);
+      })
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          handlersRef.current.onSubscribed?.(channel);
+          const { requestId, since } = sync.current;
+          channel.send({
+            type: 'broadcast',
+            event: SYNC_REQUEST_EVENT,
+            payload: createSyncRequest({ requestId, since }),
+          });
+        }
+      });
+    channelRef.current = channel;
+    return () => {
+      channelRef.current = null;
+      channel.unsubscribe();
+    };
+  }, [transport, channelId, key]);
+
+  const glossary = () => Object.values(glossaries.current).flat();
+
+  return { channel: channelRef, encryption, rejected, missed, glossary };
+}
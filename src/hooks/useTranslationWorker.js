@@ -0,0 +1,105 @@
+import { useEffect, useRef } from 'react';
+import { TranslationQueue } from '../utils/translationQueue';
+import { MAX_AUTO_RESTARTS } from '../utils/workerErrors';
+
+// Runs the jobs of a `TranslationQueue` (given `maxPending`, if any) in the
+// translation worker. The worker, and with it the translation model, is only
+// created once there is a job or `load()` is called, so pages that never
+// translate never download the model. After a fatal error it is replaced by
+// a fresh one on the next job, up to `MAX_AUTO_RESTARTS` times in a row;
+// after that `failed` is set, the queue is cleared and nothing should be
+// queued until `reset()`.
+//
+// The handlers may change from render to render:
+//
+//   onChange(size)                    the number of jobs waiting or running
+//   onComplete(job, data)             a job is done (`job` is null if it was
+//                                     cleared in the meantime)
+//   onError(data, job, restarting)    `restarting` if the error was fatal and
+//                                     the worker will be replaced
+//   onStatus(data)                    any other message, e.g. loading progress
+export function useTranslationWorker({ onChange, maxPending, ...handlers } = {}) {
+  const worker = useRef(null);
+  const restarts = useRef(0);
+  const failed = useRef(false);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const queue = useRef(null);
+  queue.current ??= new TranslationQueue({
+    run: ({ id, text, src_lang, tgt_lang, glossary }) => {
+      getWorker().postMessage({ id, text, src_lang, tgt_lang, glossary });
+    },
+    onChange: (size) => onChangeRef.current?.(size),
+    maxPending,
+  });
+
+  const onMessageReceived = (e) => {
+    const { onComplete, onError, onStatus } = handlersRef.current;
+    switch (e.data.status) {
+      case 'error': {
+        const job = queue.current.get(e.data.id);
+        const restarting = e.data.fatal && restarts.current < MAX_AUTO_RESTARTS;
+        onError?.(e.data, job, restarting);
+        if (e.data.fatal) {
+          // Replaced by a fresh worker on the next job
+          worker.current.terminate();
+          worker.current = null;
+          if (!restarting) {
+            failed.current = true;
+            queue.current.clear();
+            break;
+          }
+          restarts.current++;
+        }
+        queue.current.complete(e.data.id);
+        break;
+      }
+
+      case 'complete': {
+        // The worker can take the next job
+        restarts.current = 0;
+        const job = queue.current.complete(e.data.id);
+        onComplete?.(job, e.data);
+        break;
+      }
+
+      default:
+        onStatus?.(e.data);
+    }
+  };
+
+  const getWorker = () => {
+    if (!worker.current) {
+      worker.current = new Worker(new URL('../translationWorker.js', import.meta.url), {
+        type: 'module',
+      });
+      worker.current.addEventListener('message', onMessageReceived);
+    }
+    return worker.current;
+  };
+
+  // Start loading the model ahead of the first job
+  const load = () => {
+    getWorker();
+  };
+
+  // Try again after giving up
+  const reset = () => {
+    restarts.current = 0;
+    failed.current = false;
+  };
+
+  useEffect(
+    () => () => {
+      queue.current.clear();
+      worker.current?.terminate();
+      worker.current = null;
+    },
+    []
+  );
+
+  return { queue: queue.current, failed, load, reset };
+}
@@ -1,25 +1,44 @@
 import * as React from 'react';
 import * as ReactDOM from 'react-dom/client';
 import { createHashRouter, RouterProvider } from 'react-router-dom';
-import { createClient } from '@supabase/supabase-js';
 
 import Broadcaster from './routes/broadcaster';
 import Receiver from './routes/receiver';
+import File from './routes/file';
+import Overlay from './routes/overlay';
+import ConfigurationError from './components/ConfigurationError';
+import { createTransport, resolveTransportConfig } from './utils/transports';
 import './index.css';
 
-const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
-const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
+// A transport that can't be set up (e.g. `?transport=websocket` without a
+// relay) is explained on the pages that need it, rather than leaving them blank
+let transport = null;
+let transportError = null;
+try {
+  transport = createTransport(resolveTransportConfig());
+} catch (error) {
+  transportError = error;
+}
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+const withTransport = (Route) =>
+  transport ? <Route transport={transport} /> : <ConfigurationError error={transportError} />;
 
 const router = createHashRouter([
   {
     path: '/receiver/:channelId',
-    element: <Receiver supabase={supabase} />,
+    element: withTransport(Receiver),
+  },
+  {
+    path: '/overlay/:channelId',
+    element: withTransport(Overlay),
+  },
+  {
+    path: '/file',
+    element: <File />,
   },
   {
     path: '/*',
-    element: <Broadcaster supabase={supabase} />,
+    element: withTransport(Broadcaster),
   },
 ]);
 
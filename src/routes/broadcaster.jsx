@@ -1,218 +1,550 @@
 import { useEffect, useState, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 
 import { AudioVisualizer } from '../components/AudioVisualizer';
 import Progress from '../components/Progress';
-import { LanguageSelector } from '../components/LanguageSelectorBroadcaster';
+import { AUTO_DETECT, LanguageSelector } from '../components/LanguageSelectorBroadcaster';
 import GitHubLink from '../components/GitHubLink';
-import broadcast from '../utils/broadcaster';
-import { randomId } from '../utils/utils';
-
-const IS_WEBGPU_AVAILABLE = !!navigator.gpu;
-
-const WHISPER_SAMPLING_RATE = 16_000;
-const MAX_AUDIO_LENGTH = 30; // seconds
-const MAX_SAMPLES = WHISPER_SAMPLING_RATE * MAX_AUDIO_LENGTH;
-
-function App({ supabase }) {
+import ExportMenu from '../components/ExportMenu';
+import TargetLanguages from '../components/TargetLanguages';
+import ModelSettings from '../components/ModelSettings';
+import WorkerErrorBanner from '../components/WorkerErrorBanner';
+import AudiencePanel from '../components/AudiencePanel';
+import GlossaryEditor from '../components/GlossaryEditor';
+import RedactionSettings from '../components/RedactionSettings';
+import RedactionLog from '../components/RedactionLog';
+import createBroadcaster from '../utils/broadcaster';
+import { formatTime, randomId } from '../utils/utils';
+import {
+  createEncryptedChannel,
+  encryptionSupported,
+  exportKey,
+  generateKey,
+  importKey,
+} from '../utils/encryption';
+import { DEVICE_CONFIGS, detectDevice } from '../utils/device';
+import {
+  defaultModelSettings,
+  describeModel,
+  loadModelSettings,
+  saveModelSettings,
+} from '../utils/modelSettings';
+import { createPcmCapture } from '../utils/capture';
+import { getLanguageName, languageMapping } from '../utils/languages';
+import { MAX_AUTO_RESTARTS } from '../utils/workerErrors';
+import {
+  FEEDBACK_EVENT,
+  MAX_SPEAKER_LENGTH,
+  SYNC_REQUEST_EVENT,
+  summarizeListeners,
+  validateFeedback,
+  validateSyncRequest,
+} from '../utils/protocol';
+import { FEEDBACK_TOTAL_LIMIT, REACTIONS, REACTION_WINDOW, RateLimiter } from '../utils/feedback';
+import { loadGlossary, saveGlossary } from '../utils/glossary';
+import { Redactor, loadRedactionSettings, saveRedactionSettings } from '../utils/redaction';
+import { useTranslationWorker } from '../hooks/useTranslationWorker';
+
+// Joins and leaves shown on the share card
+const MAX_PRESENCE_EVENTS = 5;
+// Questions kept in the audience panel
+const MAX_QUESTIONS = 50;
+// Channel IDs accepted in co-speaker links
+const CHANNEL_ID_PATTERN = /^[\w-]{1,64}$/;
+// Redactions kept in the audit log
+const MAX_REDACTION_LOG = 500;
+
+function App({ transport }) {
   // Create a reference to the worker object.
   const worker = useRef(null);
+  const onMessageReceived = useRef(null);
 
-  const recorderRef = useRef(null);
+  // Worker errors, and how many times in a row it was replaced
+  const [error, setError] = useState(null);
+  const restarts = useRef(0);
+  const [translationError, setTranslationError] = useState(null);
 
   // Model loading and progress
   const [status, setStatus] = useState(null);
   const [loadingMessage, setLoadingMessage] = useState('');
   const [progressItems, setProgressItems] = useState([]);
+  const [device, setDevice] = useState(null);
+  const [vadKind, setVadKind] = useState(null);
+  const deviceConfig = DEVICE_CONFIGS[device ?? 'webgpu'];
+  const [modelSettings, setModelSettings] = useState(null);
+  const modelSettingsRef = useRef(null);
+  const modelInfo = describeModel(modelSettings ?? defaultModelSettings(device ?? 'webgpu'));
 
   // Inputs and outputs
   const [text, setText] = useState('');
   const [tps, setTps] = useState(null);
   const [language, setLanguage] = useState('en');
   const languageRef = useRef(language);
+  // `{ language, confidence }` of the last utterance when auto-detecting
+  const [detected, setDetected] = useState(null);
 
-  // Processing
-  const [recording, setRecording] = useState(false);
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [chunks, setChunks] = useState([]);
+  // Audio capture
   const [stream, setStream] = useState(null);
-  const audioContextRef = useRef(null);
-
-  // Broadcast
-  const channelId = useRef(randomId());
-  const channel = supabase.channel(channelId.current);
-
-  // We use the `useEffect` hook to setup the worker as soon as the `App` component is mounted.
-  useEffect(() => {
-    if (!worker.current) {
-      // Create the worker if it does not yet exist.
-      worker.current = new Worker(
-        new URL('../transcriptionWorker.js', import.meta.url),
-        {
-          type: 'module',
+  const streamRef = useRef(null);
+  const stopCapture = useRef(null);
+
+  // Translation for listeners (off unless enabled)
+  const [fanout, setFanout] = useState(false);
+  const [fanoutLanguages, setFanoutLanguages] = useState(['eng_Latn']);
+  const fanoutLanguagesRef = useRef(fanoutLanguages);
+  const translatedToRef = useRef([]);
+  const [translatorStatus, setTranslatorStatus] = useState(null);
+  const [fanoutBacklog, setFanoutBacklog] = useState(0);
+  // The translation model is only downloaded once fan-out is switched on.
+  // Fan-out is switched off if the worker keeps failing.
+  const translator = useTranslationWorker({
+    onChange: setFanoutBacklog,
+    onStatus: (data) => {
+      if (data.status === 'initiate') setTranslatorStatus('loading');
+      if (data.status === 'ready') setTranslatorStatus('ready');
+    },
+    onError: (data, job, restarting) => {
+      setTranslationError({ ...data, restarting });
+      if (data.fatal) setTranslatorStatus(null);
+      if (data.fatal && !restarting) updateFanout(false, fanoutLanguagesRef.current);
+    },
+    onComplete: (job, data) => {
+      // Only finished translations go out, not the token stream
+      setTranslatorStatus('ready');
+      setTranslationError((prev) => (prev?.restarting ? null : prev));
+      if (job?.segmentId) {
+        broadcaster.current.publishTranslation({
+          segmentId: job.segmentId,
+          revision: job.revision,
+          isFinal: job.isFinal,
+          language: job.tgt_lang,
+          text: data.output[0].translation_text,
+        });
+      }
+    },
+  });
+
+  // Broadcast. A co-speaker link (`#/?channel=<id>&key=...`) joins an
+  // existing channel instead of starting a new one.
+  const [searchParams] = useSearchParams();
+  const joinedChannel = CHANNEL_ID_PATTERN.test(searchParams.get('channel') ?? '')
+    ? searchParams.get('channel')
+    : null;
+  const channelId = useRef(joinedChannel ?? randomId());
+  const joinKey = useRef(joinedChannel && searchParams.get('key'));
+  const channelRef = useRef(null);
+  // Name shown to listeners next to what this broadcaster says
+  const [speaker, setSpeaker] = useState('');
+  const speakerRef = useRef(speaker);
+  const [keyError, setKeyError] = useState(false);
+  // `{ key, exported }` while the channel is end-to-end encrypted. A new key
+  // is made every time encryption is switched on, so older links stop working.
+  const [encryption, setEncryption] = useState(null);
+  // Who is listening (see `summarizeListeners`) and recent joins and leaves
+  const [audience, setAudience] = useState({ listeners: {}, count: 0, languages: {} });
+  const [presenceEvents, setPresenceEvents] = useState([]);
+
+  // Questions and reactions from listeners, rate limited per listener and
+  // for all of them together
+  const [questions, setQuestions] = useState([]);
+  const [reactions, setReactions] = useState([]);
+  const [droppedFeedback, setDroppedFeedback] = useState(0);
+  const blockedListeners = useRef(new Set());
+  const feedbackLimiter = useRef(null);
+  feedbackLimiter.current ??= new RateLimiter({ total: FEEDBACK_TOTAL_LIMIT });
+
+  // Personal data and profanity are masked before anything is broadcast.
+  // Each redacted text is logged once per utterance, not once per pass.
+  const [redactionSettings, setRedactionSettings] = useState(loadRedactionSettings);
+  const redactor = useRef(null);
+  redactor.current ??= new Redactor(redactionSettings);
+  const [redactionLog, setRedactionLog] = useState([]);
+  const loggedRedactions = useRef(new Set());
+
+  // Terms to spell and translate consistently (see `glossary.js`)
+  const [glossary, setGlossary] = useState(loadGlossary);
+  const glossaryRef = useRef(glossary);
+  const broadcaster = useRef(null);
+  broadcaster.current ??= createBroadcaster({
+    getChannel: () => channelRef.current,
+    getTranslatedTo: () => translatedToRef.current,
+    getSpeaker: () => speakerRef.current.trim(),
+    getGlossary: () => glossaryRef.current,
+    onSend: (segment) => {
+      // Each segment is translated from its own (possibly detected) language
+      const src_lang = languageMapping[segment.language];
+      if (!src_lang) return; // NLLB doesn't know it
+      for (const tgt_lang of translatedToRef.current) {
+        if (src_lang === tgt_lang) {
+          broadcaster.current.publishTranslation({
+            segmentId: segment.segmentId,
+            revision: segment.revision,
+            isFinal: segment.isFinal,
+            language: tgt_lang,
+            text: segment.text,
+          });
+          continue;
         }
-      );
-
-      // Send initial load message to worker
-      worker.current.postMessage({ type: 'load' });
+        translator.queue.enqueue({
+          segmentId: segment.segmentId,
+          revision: segment.revision,
+          isFinal: segment.isFinal,
+          text: segment.text,
+          src_lang,
+          tgt_lang,
+          glossary: glossaryRef.current,
+        });
+      }
+    },
+  });
+
+  const updateFanout = (enabled, languages) => {
+    setFanout(enabled);
+    setFanoutLanguages(languages);
+    fanoutLanguagesRef.current = languages;
+    translatedToRef.current = enabled ? languages : [];
+    if (enabled) translator.load();
+  };
+
+  const toggleEncryption = async (enabled) => {
+    if (!enabled) {
+      setEncryption(null);
+      return;
     }
+    const key = await generateKey();
+    setEncryption({ key, exported: await exportKey(key) });
+  };
+
+  // Co-speakers use the host's key, which they can't change. Until it is
+  // imported (or if it can't be), nothing is recorded or sent, so they never
+  // talk in the clear on an encrypted channel.
+  const awaitingKey = Boolean(joinKey.current) && !encryption;
+  useEffect(() => {
+    const key = joinKey.current;
+    if (!key) return;
+    importKey(key)
+      .then((cryptoKey) => setEncryption({ key: cryptoKey, exported: key }))
+      .catch(() => setKeyError(true));
+  }, []);
 
-    // Create a callback function for messages from the worker thread.
-    const onMessageReceived = (e) => {
-      switch (e.data.status) {
-        case 'loading':
-          // Model file start load: add a new progress item to the list.
-          setStatus('loading');
-          setLoadingMessage(e.data.data);
-          break;
-
-        case 'initiate':
-          setProgressItems((prev) => [...prev, e.data]);
-          break;
-
-        case 'progress':
-          // Model file progress: update one of the progress items.
-          setProgressItems((prev) =>
-            prev.map((item) => {
-              if (item.file === e.data.file) {
-                return { ...item, ...e.data };
-              }
-              return item;
-            })
-          );
-          break;
-
-        case 'done':
-          // Model file loaded: remove the progress item from the list.
-          setProgressItems((prev) =>
-            prev.filter((item) => item.file !== e.data.file)
-          );
-          break;
-
-        case 'ready':
-          // Pipeline ready: the worker is ready to accept messages.
-          setStatus('ready');
-          recorderRef.current?.start();
-          break;
-
-        case 'start':
-          {
-            // Start generation
-            setIsProcessing(true);
-
-            // Request new data from the recorder
-            recorderRef.current?.requestData();
-          }
-          break;
-
-        case 'update':
-          {
-            // Generation update: update the output text.
-            const { tps } = e.data;
-            setTps(tps);
-          }
-          break;
-
-        case 'complete':
-          // Generation complete: re-enable the "Generate" button
-          setIsProcessing(false);
-          setText(e.data.output);
-          broadcast({
-            channel,
-            message: e.data.output[0],
-            language: languageRef.current,
-          });
-          break;
+  useEffect(() => {
+    if (joinKey.current && !encryption) return;
+    let channel = transport.channel(channelId.current);
+    if (encryption) {
+      channel = createEncryptedChannel(channel, channelId.current, encryption.key);
+    }
+    let previous = {};
+    channel.on('presence', { event: 'sync' }, () => {
+      const summary = summarizeListeners(channel.presenceState());
+      const events = [
+        ...Object.keys(summary.listeners)
+          .filter((key) => !(key in previous))
+          .map((key) => ({ key, joined: true, languages: summary.listeners[key] })),
+        ...Object.keys(previous)
+          .filter((key) => !(key in summary.listeners))
+          .map((key) => ({ key, joined: false, languages: previous[key] })),
+      ].map((event) => ({ ...event, time: Date.now() }));
+      previous = summary.listeners;
+      setAudience(summary);
+      if (events.length > 0) {
+        setPresenceEvents((prev) => [...events.reverse(), ...prev].slice(0, MAX_PRESENCE_EVENTS));
       }
-    };
-
-    // Attach the callback function as an event listener.
-    worker.current.addEventListener('message', onMessageReceived);
-
-    // Define a cleanup function for when the component is unmounted.
+    });
+    channel.on('broadcast', { event: SYNC_REQUEST_EVENT }, ({ payload }) => {
+      const error = validateSyncRequest(payload);
+      if (error) {
+        console.warn('Ignoring invalid sync request:', error);
+        return;
+      }
+      broadcaster.current.handleSyncRequest(payload);
+    });
+    channel.on('broadcast', { event: FEEDBACK_EVENT }, ({ payload }) => {
+      const error = validateFeedback(payload);
+      if (error) {
+        console.warn('Ignoring invalid feedback:', error);
+        return;
+      }
+      if (blockedListeners.current.has(payload.listenerId)) return;
+      if (!feedbackLimiter.current.allow(payload.listenerId)) {
+        setDroppedFeedback((prev) => prev + 1);
+        return;
+      }
+      const receivedAt = Date.now();
+      if (payload.kind === 'reaction') {
+        if (!(payload.reaction in REACTIONS)) return;
+        setReactions((prev) => [
+          ...prev.filter((reaction) => receivedAt - reaction.receivedAt < REACTION_WINDOW),
+          { ...payload, receivedAt },
+        ]);
+      } else {
+        setQuestions((prev) =>
+          [{ ...payload, receivedAt, answered: false }, ...prev].slice(0, MAX_QUESTIONS)
+        );
+      }
+    });
+    channel.subscribe();
+    channelRef.current = channel;
     return () => {
-      worker.current.removeEventListener('message', onMessageReceived);
+      channelRef.current = null;
+      channel.unsubscribe();
+      setAudience({ listeners: {}, count: 0, languages: {} });
     };
-  }, []);
+  }, [transport, encryption]);
+
+  const blockListener = (listenerId) => {
+    blockedListeners.current.add(listenerId);
+    setQuestions((prev) => prev.filter((question) => question.listenerId !== listenerId));
+    setReactions((prev) => prev.filter((reaction) => reaction.listenerId !== listenerId));
+  };
+
+  // Receiver link query: the transport, plus the key when encrypted. It all
+  // stays in the URL fragment, which never reaches a server.
+  const linkQuery = (params = {}) => {
+    const query = new URLSearchParams(transport.query);
+    for (const [name, value] of Object.entries(params)) query.set(name, value);
+    if (encryption) query.set('key', encryption.exported);
+    return query.toString() ? `?${query}` : '';
+  };
+  const receiverQuery = linkQuery();
+  // Link for further speakers to join this channel
+  const coSpeakerQuery = linkQuery({ channel: channelId.current });
+
+  const createWorker = () => {
+    worker.current = new Worker(
+      new URL('../transcriptionWorker.js', import.meta.url),
+      {
+        type: 'module',
+      }
+    );
+    worker.current.addEventListener('message', (e) => onMessageReceived.current?.(e));
+    worker.current.postMessage({ type: 'glossary', data: glossaryRef.current });
+  };
+
+  // Audio flows from the capture worklet straight into the worker, without
+  // a round trip through this thread.
+  const connectAudio = async () => {
+    stopCapture.current?.();
+    const { port1, port2 } = new MessageChannel();
+    worker.current.postMessage({ type: 'audio-port', data: port2 }, [port2]);
+    stopCapture.current = await createPcmCapture(streamRef.current, port1);
+  };
+
+  // Replace a worker that can't recover with a fresh one using the same
+  // settings. Transcription resumes once it is ready.
+  const restartWorker = () => {
+    worker.current.terminate();
+    broadcaster.current.finalize();
+    createWorker();
+    setProgressItems([]);
+    setStatus('loading');
+    worker.current.postMessage({ type: 'load', data: modelSettingsRef.current });
+    if (streamRef.current) connectAudio();
+  };
+
+  // Callback for messages from the worker thread, refreshed on every render
+  onMessageReceived.current = (e) => {
+    switch (e.data.status) {
+      case 'loading':
+        // Model file start load: add a new progress item to the list.
+        setStatus('loading');
+        setLoadingMessage(e.data.data);
+        break;
+
+      case 'device':
+        setDevice(e.data.device);
+        break;
+
+      case 'vad':
+        setVadKind(e.data.vad);
+        break;
+
+      case 'initiate':
+        setProgressItems((prev) => [...prev, e.data]);
+        break;
+
+      case 'progress':
+        // Model file progress: update one of the progress items.
+        setProgressItems((prev) =>
+          prev.map((item) => {
+            if (item.file === e.data.file) {
+              return { ...item, ...e.data };
+            }
+            return item;
+          })
+        );
+        break;
 
-  useEffect(() => {
-    if (recorderRef.current) return; // Already set
+      case 'done':
+        // Model file loaded: remove the progress item from the list.
+        setProgressItems((prev) =>
+          prev.filter((item) => item.file !== e.data.file)
+        );
+        break;
 
-    if (navigator.mediaDevices.getUserMedia) {
-      navigator.mediaDevices
-        .getUserMedia({ audio: true })
-        .then((stream) => {
-          setStream(stream);
+      case 'ready':
+        // Pipeline ready: the worker is ready to accept messages.
+        setStatus('ready');
+        setError((prev) => (prev?.restarting ? null : prev));
+        break;
 
-          recorderRef.current = new MediaRecorder(stream);
-          audioContextRef.current = new AudioContext({
-            sampleRate: WHISPER_SAMPLING_RATE,
-          });
+      case 'update':
+        {
+          // Generation update: update the output text.
+          const { tps } = e.data;
+          setTps(tps);
+        }
+        break;
+
+      case 'complete': {
+        // Generation complete: redact, show and broadcast the output. Until
+        // the speaker pauses, its unfinished end isn't shown, so nothing
+        // goes out before it can be told whether to redact it.
+        const { text: message, redactions, heldBack } = redactor.current.redact(e.data.output[0], {
+          partial: !e.data.isFinal,
+        });
+        logRedactions(redactions);
+        setText([message]);
+        setDetected(
+          e.data.confidence != null
+            ? { language: e.data.language, confidence: e.data.confidence }
+            : null
+        );
+        broadcaster.current.update({
+          message,
+          language: e.data.language,
+          languageConfidence: e.data.confidence,
+          // Words would give away what was redacted or held back
+          words: redactions.length > 0 || heldBack ? undefined : e.data.words,
+        });
+        if (e.data.isFinal) {
+          // The speaker paused: close the segment and start afresh
+          broadcaster.current.finalize();
+          loggedRedactions.current.clear();
+        }
+        restarts.current = 0;
+        break;
+      }
 
-          recorderRef.current.onstart = () => {
-            setRecording(true);
-            setChunks([]);
-          };
-          recorderRef.current.ondataavailable = (e) => {
-            if (e.data.size > 0) {
-              setChunks((prev) => [...prev, e.data]);
-            } else {
-              // Empty chunk received, so we request new data after a short timeout
-              setTimeout(() => {
-                recorderRef.current.requestData();
-              }, 25);
-            }
-          };
-
-          recorderRef.current.onstop = () => {
-            setRecording(false);
-          };
-        })
-        .catch((err) => console.error('The following error occurred: ', err));
-    } else {
-      console.error('getUserMedia not supported on your browser!');
+      case 'error': {
+        // The worker stops transcribing after fatal errors and unsupported
+        // languages; other errors only cost the audio being transcribed.
+        const restarting = e.data.fatal && restarts.current < MAX_AUTO_RESTARTS;
+        setError({ ...e.data, restarting });
+        if (restarting) {
+          restarts.current++;
+          restartWorker();
+        }
+        break;
+      }
     }
+  };
 
-    return () => {
-      recorderRef.current?.stop();
-      recorderRef.current = null;
-    };
+  // We use the `useEffect` hook to setup the worker as soon as the `App` component is mounted.
+  useEffect(() => {
+    if (!worker.current) {
+      // Create the worker if it does not yet exist.
+      createWorker();
+
+      // Settings are remembered per backend, so detect it first. The worker
+      // reports the backend it actually picked once loaded.
+      detectDevice().then((detected) => {
+        setDevice((prev) => prev ?? detected);
+        modelSettingsRef.current = loadModelSettings(detected);
+        setModelSettings(modelSettingsRef.current);
+
+        // Send initial load message to worker
+        worker.current.postMessage({ type: 'load', data: modelSettingsRef.current });
+      });
+    }
   }, []);
 
   useEffect(() => {
-    if (!recorderRef.current) return;
-    if (!recording) return;
-    if (isProcessing) return;
-    if (status !== 'ready') return;
+    if (!navigator.mediaDevices?.getUserMedia) {
+      console.error('getUserMedia not supported on your browser!');
+      return;
+    }
 
-    if (chunks.length > 0) {
-      // Generate from data
-      const blob = new Blob(chunks, { type: recorderRef.current.mimeType });
+    let cancelled = false;
+    let mediaStream = null;
 
-      const fileReader = new FileReader();
+    navigator.mediaDevices
+      .getUserMedia({ audio: true })
+      .then(async (stream) => {
+        mediaStream = stream;
+        if (cancelled) return stream.getTracks().forEach((t) => t.stop());
 
-      fileReader.onloadend = async () => {
-        const arrayBuffer = fileReader.result;
-        const decoded = await audioContextRef.current.decodeAudioData(
-          arrayBuffer
-        );
-        let audio = decoded.getChannelData(0);
-        if (audio.length > MAX_SAMPLES) {
-          // Get last MAX_SAMPLES
-          audio = audio.slice(-MAX_SAMPLES);
-        }
+        streamRef.current = stream;
+        await connectAudio();
+        setStream(stream);
+      })
+      .catch((err) => console.error('The following error occurred: ', err));
 
-        worker.current.postMessage({
-          type: 'generate',
-          data: { audio, language },
-        });
-      };
-      fileReader.readAsArrayBuffer(blob);
-    } else {
-      recorderRef.current?.requestData();
-    }
-  }, [status, recording, isProcessing, chunks, language]);
+    return () => {
+      cancelled = true;
+      stopCapture.current?.();
+      stopCapture.current = null;
+      streamRef.current = null;
+      mediaStream?.getTracks().forEach((t) => t.stop());
+      worker.current?.postMessage({ type: 'stop' });
+    };
+  }, []);
 
-  return IS_WEBGPU_AVAILABLE ? (
+  // Start transcribing once both the model and the microphone are ready
+  useEffect(() => {
+    if (status !== 'ready' || !stream || awaitingKey) return;
+    worker.current.postMessage({
+      type: 'start',
+      data: { language: languageRef.current },
+    });
+  }, [status, stream, awaitingKey]);
+
+  // Switch to another model. Transcription restarts once it is ready.
+  const applyModelSettings = (settings) => {
+    saveModelSettings(device, settings);
+    modelSettingsRef.current = settings;
+    setModelSettings(settings);
+    broadcaster.current.finalize();
+    setProgressItems([]);
+    setStatus('loading');
+    worker.current.postMessage({ type: 'load', data: settings });
+  };
+
+  const logRedactions = (redactions) => {
+    const time = Date.now();
+    const entries = redactions
+      .filter(({ text }) => !loggedRedactions.current.has(text))
+      .map((redaction) => ({ time, ...redaction }));
+    if (entries.length === 0) return;
+    for (const { text } of entries) loggedRedactions.current.add(text);
+    setRedactionLog((prev) => [...entries.reverse(), ...prev].slice(0, MAX_REDACTION_LOG));
+  };
+
+  const applyRedactionSettings = (settings) => {
+    saveRedactionSettings(settings);
+    redactor.current = new Redactor(settings);
+    setRedactionSettings(settings);
+  };
+
+  // Takes effect from the next utterance on, for listeners too
+  const applyGlossary = (entries) => {
+    saveGlossary(entries);
+    glossaryRef.current = entries;
+    setGlossary(entries);
+    worker.current.postMessage({ type: 'glossary', data: entries });
+    broadcaster.current.publishGlossary();
+  };
+
+  // Close the current segment and start transcribing afresh
+  const restart = () => {
+    broadcaster.current.finalize();
+    if (awaitingKey) return;
+    worker.current.postMessage({
+      type: 'start',
+      data: { language: languageRef.current },
+    });
+  };
+
+  return (
     <div className="min-h-screen bg-gradient-to-br from-primary-400 via-accent-light to-primary-600 animate-gradient">
       <div className="h-full min-h-screen overflow-auto scrollbar-thin flex justify-center items-center flex-col relative p-6">
         {/* Decorative elements */}
@@ -238,6 +570,46 @@ function App({ supabase }) {
           </div>
 
           <div className="flex flex-col items-center space-y-8 w-full max-w-3xl mx-auto">
+            {keyError && (
+              <div className="w-full backdrop-blur-sm bg-red-50/80 rounded-2xl p-6 shadow-xl border border-red-200" role="alert">
+                <h2 className="text-lg font-semibold text-red-900">🔒 This channel is encrypted</h2>
+                <p className="text-red-800">
+                  The key in this co-speaker link is damaged, so nothing is recorded or sent. Ask the host for the link again.
+                </p>
+              </div>
+            )}
+            {error && (
+              <WorkerErrorBanner
+                title="Transcription error"
+                error={error}
+                restarting={error.restarting}
+                onRetry={() => {
+                  setError(null);
+                  restarts.current = 0;
+                  // Only a broken worker needs replacing
+                  if (error.fatal) restartWorker();
+                  else restart();
+                }}
+                onDismiss={() => setError(null)}
+              />
+            )}
+            {translationError && (
+              <WorkerErrorBanner
+                title="Translation error"
+                error={translationError}
+                restarting={translationError.restarting}
+                onRetry={
+                  translationError.fatal && !translationError.restarting
+                    ? () => {
+                        setTranslationError(null);
+                        translator.reset();
+                        updateFanout(true, fanoutLanguagesRef.current);
+                      }
+                    : null
+                }
+                onDismiss={() => setTranslationError(null)}
+              />
+            )}
             {status === null && (
               <div className="backdrop-blur-sm bg-white/30 rounded-2xl p-8 shadow-xl border border-white/50 transform transition-all hover:scale-[1.02]">
                 <div className="prose prose-lg">
@@ -247,14 +619,14 @@ function App({ supabase }) {
                   <p className="text-lg text-primary-800 leading-relaxed mb-6">
                     You're about to experience real-time speech recognition powered by{' '}
                     <a
-                      href="https://huggingface.co/onnx-community/whisper-base"
+                      href={`https://huggingface.co/${modelInfo.model_id}`}
                       target="_blank"
                       rel="noreferrer"
                       className="font-medium text-accent-dark hover:text-accent transition-colors underline"
                     >
-                      whisper-base
+                      {modelInfo.model_name}
                     </a>
-                    , a powerful 73 million parameter model optimized for web inference.
+                    , a powerful {modelInfo.parameters} parameter model optimized for web inference.
                   </p>
                   <p className="text-lg text-primary-800 leading-relaxed">
                     Using{' '}
@@ -266,20 +638,40 @@ function App({ supabase }) {
                     >
                       🤗&nbsp;Transformers.js
                     </a>
-                    {' '}and ONNX Runtime Web, everything runs directly in your browser. The model (~200&nbsp;MB) will be cached for future use.
+                    {' '}and ONNX Runtime Web, everything runs directly in your browser. The model ({modelInfo.size}) will be cached for future use.
                   </p>
+                  {joinedChannel && (
+                    <p className="mt-6 px-4 py-3 bg-white/50 rounded-xl text-base text-primary-800">
+                      You are joining channel <span className="font-semibold">{joinedChannel}</span> as a
+                      co-speaker. Listeners see what you say next to the other speakers.
+                    </p>
+                  )}
+                  {device === 'wasm' && (
+                    <p className="mt-6 px-4 py-3 bg-white/50 rounded-xl text-base text-primary-800">
+                      {deviceConfig.speed}
+                    </p>
+                  )}
                 </div>
 
                 <button
                   className="mt-8 w-full px-6 py-4 bg-gradient-to-r from-primary-500 to-accent hover:from-primary-600 hover:to-accent-dark text-white text-lg font-semibold rounded-xl shadow-lg transform transition-all hover:scale-[1.02] focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
                   onClick={() => {
-                    worker.current.postMessage({ type: 'load' });
+                    worker.current.postMessage({ type: 'load', data: modelSettingsRef.current });
                     setStatus('loading');
                   }}
                   disabled={status !== null}
                 >
                   Start Transcribing
                 </button>
+                <p className="mt-4 text-center text-primary-800">
+                  Have a recording instead?{' '}
+                  <a
+                    href={`${import.meta.env.BASE_URL}#/file`}
+                    className="font-medium text-accent-dark hover:text-accent transition-colors underline"
+                  >
+                    Caption a file
+                  </a>
+                </p>
               </div>
             )}
 
@@ -296,7 +688,7 @@ function App({ supabase }) {
                         </pre>
                       </div>
                       <a
-                        href={`${import.meta.env.BASE_URL}#/receiver/${channelId.current}`}
+                        href={`${import.meta.env.BASE_URL}#/receiver/${channelId.current}${receiverQuery}`}
                         target="_blank"
                         rel="noreferrer"
                         className="flex-shrink-0 px-6 py-3 bg-gradient-to-r from-primary-500 to-accent text-white font-semibold rounded-xl shadow-lg transform transition-all hover:scale-[1.02] hover:from-primary-600 hover:to-accent-dark"
@@ -304,12 +696,118 @@ function App({ supabase }) {
                         Open Receiver
                       </a>
                     </div>
+                    <div className="flex flex-wrap items-center gap-4">
+                      <label className="flex items-center space-x-2 text-primary-900 font-medium">
+                        <span>Your name</span>
+                        <input
+                          type="text"
+                          value={speaker}
+                          maxLength={MAX_SPEAKER_LENGTH}
+                          onChange={(e) => {
+                            setSpeaker(e.target.value);
+                            speakerRef.current = e.target.value;
+                          }}
+                          placeholder="Shown to listeners"
+                          className="px-3 py-1 bg-white/50 border border-white/50 text-primary-900 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        />
+                      </label>
+                      <a
+                        href={`${import.meta.env.BASE_URL}#/${coSpeakerQuery}`}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="text-primary-800 underline hover:text-accent-dark transition-colors"
+                        title="Opens a broadcaster that joins this channel, e.g. for a panel"
+                      >
+                        Invite a co-speaker
+                      </a>
+                      <a
+                        href={`${import.meta.env.BASE_URL}#/overlay/${channelId.current}${receiverQuery}`}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="text-primary-800 underline hover:text-accent-dark transition-colors"
+                        title="Latest captions on a transparent background, for OBS and other streaming software"
+                      >
+                        Caption overlay
+                      </a>
+                    </div>
+                    <div className="flex items-center justify-between">
+                      <label
+                        className="flex items-center space-x-2 text-primary-900 font-medium"
+                        title={encryptionSupported ? undefined : 'Needs a secure (HTTPS) connection'}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={encryption !== null}
+                          onChange={(e) => toggleEncryption(e.target.checked)}
+                          disabled={!encryptionSupported || joinedChannel !== null}
+                        />
+                        <span>
+                          End-to-end encryption
+                          {joinedChannel && ' (set by the host)'}
+                        </span>
+                      </label>
+                      {encryption && (
+                        <span className="px-3 py-1 bg-green-100/70 text-green-800 text-sm rounded-lg font-medium">
+                          🔒 Encrypted · only people with the receiver link can read along
+                        </span>
+                      )}
+                    </div>
+                    <div className="p-4 bg-white/50 rounded-xl space-y-2">
+                      <p className="text-primary-900 font-medium">
+                        {audience.count === 1 ? '1 listener' : `${audience.count} listeners`}
+                      </p>
+                      {audience.count > 0 && (
+                        <div className="flex flex-wrap gap-2">
+                          {Object.entries(audience.languages)
+                            .sort(([, a], [, b]) => b - a)
+                            .map(([language, count]) => (
+                              <span
+                                key={language}
+                                className="px-2 py-1 bg-primary-100/50 text-primary-700 text-sm rounded-lg font-medium"
+                              >
+                                {getLanguageName(language) ?? language}: {count}
+                              </span>
+                            ))}
+                        </div>
+                      )}
+                      {presenceEvents.length > 0 && (
+                        <ul className="text-sm text-primary-700 space-y-1">
+                          {presenceEvents.map(({ key, joined, languages, time }) => (
+                            <li key={`${key}-${time}-${joined}`}>
+                              <time className="tabular-nums">{formatTime(time)}</time>{' '}
+                              {joined ? 'A listener joined' : 'A listener left'}
+                              {languages.length > 0 &&
+                                ` (${languages.map((language) => getLanguageName(language) ?? language).join(', ')})`}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
                   </div>
                 </div>
 
                 <div className="backdrop-blur-sm bg-white/30 rounded-2xl p-6 shadow-xl border border-white/50">
                   <div className="space-y-4">
-                    <h2 className="text-2xl font-semibold text-primary-900 mb-4">Live Transcription</h2>
+                    <div className="flex items-center justify-between mb-4">
+                      <h2 className="text-2xl font-semibold text-primary-900">Live Transcription</h2>
+                      <div className="px-4 py-2 bg-white/50 rounded-xl" title={deviceConfig.speed}>
+                        <span className="text-sm font-medium text-primary-700">
+                          Backend:{' '}
+                          <span className="text-accent-dark font-semibold">{deviceConfig.label}</span>
+                          {vadKind && (
+                            <>
+                              {' · '}VAD:{' '}
+                              <span className="text-accent-dark font-semibold">
+                                {vadKind === 'silero' ? 'Silero' : 'Energy'}
+                              </span>
+                            </>
+                          )}
+                        </span>
+                      </div>
+                    </div>
+                    {device === 'wasm' && (
+                      <p className="text-sm text-primary-700">{deviceConfig.speed}</p>
+                    )}
                     <AudioVisualizer className="w-full rounded-xl mb-6" stream={stream} />
                     <div className="relative">
                       <div className="w-full min-h-[120px] overflow-y-auto overflow-wrap-anywhere rounded-xl bg-white/50 p-4 font-medium text-primary-900">
@@ -326,34 +824,169 @@ function App({ supabase }) {
                   </div>
                 </div>
 
+                <div className="backdrop-blur-sm bg-white/30 rounded-2xl p-6 shadow-xl border border-white/50">
+                  <div className="space-y-4">
+                    <div className="space-y-1">
+                      <h2 className="text-xl font-semibold text-primary-900">Audience</h2>
+                      <p className="text-sm text-primary-700">
+                        Questions and reactions from listeners, translated into your language
+                      </p>
+                    </div>
+                    <AudiencePanel
+                      questions={questions}
+                      reactions={reactions}
+                      dropped={droppedFeedback}
+                      blocked={blockedListeners.current.size}
+                      onAnswered={(feedbackId) =>
+                        setQuestions((prev) =>
+                          prev.map((question) =>
+                            question.feedbackId === feedbackId
+                              ? { ...question, answered: !question.answered }
+                              : question
+                          )
+                        )
+                      }
+                      onHide={(feedbackId) =>
+                        setQuestions((prev) => prev.filter((question) => question.feedbackId !== feedbackId))
+                      }
+                      onBlock={blockListener}
+                    />
+                  </div>
+                </div>
+
                 <div className="backdrop-blur-sm bg-white/30 rounded-2xl p-6 shadow-xl border border-white/50">
                   <div className="flex items-center justify-between">
                     <div className="space-y-1">
                       <h2 className="text-xl font-semibold text-primary-900">Input Language</h2>
                       <p className="text-sm text-primary-700">Select the language you're speaking in</p>
+                      {language === AUTO_DETECT && detected && (
+                        <p className="text-sm text-primary-700">
+                          Detected:{' '}
+                          <span className="font-semibold text-accent-dark">
+                            {getLanguageName(languageMapping[detected.language]) ?? detected.language}
+                          </span>{' '}
+                          ({Math.round(detected.confidence * 100)}%)
+                        </p>
+                      )}
                     </div>
                     <div className="flex items-center space-x-4">
                       <LanguageSelector
                         language={language}
                         setLanguage={(e) => {
-                          recorderRef.current?.stop();
                           setLanguage(e);
                           languageRef.current = e;
-                          recorderRef.current?.start();
+                          restart();
                         }}
                       />
                       <button
                         className="px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors font-medium"
-                        onClick={() => {
-                          recorderRef.current?.stop();
-                          recorderRef.current?.start();
-                        }}
+                        onClick={restart}
                       >
                         Reset
                       </button>
                     </div>
                   </div>
                 </div>
+
+                <div className="backdrop-blur-sm bg-white/30 rounded-2xl p-6 shadow-xl border border-white/50">
+                  <div className="space-y-4">
+                    <div className="space-y-1">
+                      <h2 className="text-xl font-semibold text-primary-900">Redaction</h2>
+                      <p className="text-sm text-primary-700">
+                        Mask personal data and profanity before anything is sent to listeners; changes are remembered on this device
+                      </p>
+                    </div>
+                    <RedactionSettings settings={redactionSettings} onApply={applyRedactionSettings} />
+                    {redactionSettings.enabled && (
+                      <RedactionLog
+                        entries={redactionLog}
+                        filename={`tawi-${channelId.current}-redactions`}
+                        onClear={() => setRedactionLog([])}
+                      />
+                    )}
+                  </div>
+                </div>
+
+                <div className="backdrop-blur-sm bg-white/30 rounded-2xl p-6 shadow-xl border border-white/50">
+                  <div className="space-y-4">
+                    <div className="space-y-1">
+                      <h2 className="text-xl font-semibold text-primary-900">Glossary</h2>
+                      <p className="text-sm text-primary-700">
+                        Product names and other terms to spell as written here and keep or translate as given, shared with listeners
+                      </p>
+                      {modelSettings?.word_timestamps && (
+                        <p className="text-sm text-primary-700">
+                          With word timestamps on, terms are only used for translating
+                        </p>
+                      )}
+                    </div>
+                    <GlossaryEditor entries={glossary} onApply={applyGlossary} />
+                  </div>
+                </div>
+
+                <div className="backdrop-blur-sm bg-white/30 rounded-2xl p-6 shadow-xl border border-white/50">
+                  <div className="flex items-start justify-between">
+                    <div className="space-y-1">
+                      <h2 className="text-xl font-semibold text-primary-900">Translate for Listeners</h2>
+                      <p className="text-sm text-primary-700">
+                        Listeners picking these languages get translations from you and don&apos;t download a model
+                      </p>
+                      <label className="flex items-center space-x-2 pt-2 text-primary-900 font-medium">
+                        <input
+                          type="checkbox"
+                          checked={fanout}
+                          onChange={(e) => updateFanout(e.target.checked, fanoutLanguages)}
+                        />
+                        <span>Enabled</span>
+                      </label>
+                      {fanout && translatorStatus === 'loading' && (
+                        <p className="text-sm text-primary-700">Loading translation model...</p>
+                      )}
+                      {fanout && fanoutBacklog > 0 && (
+                        <p className="text-sm text-primary-700">{fanoutBacklog} to translate</p>
+                      )}
+                    </div>
+                    {fanout && (
+                      <TargetLanguages
+                        languages={fanoutLanguages}
+                        onChange={(languages) => updateFanout(true, languages)}
+                      />
+                    )}
+                  </div>
+                </div>
+
+                {modelSettings && (
+                  <div className="backdrop-blur-sm bg-white/30 rounded-2xl p-6 shadow-xl border border-white/50">
+                    <div className="space-y-4">
+                      <div className="space-y-1">
+                        <h2 className="text-xl font-semibold text-primary-900">Model Settings</h2>
+                        <p className="text-sm text-primary-700">
+                          Bigger models and higher precision are more accurate but slower; changes are remembered on this device
+                        </p>
+                      </div>
+                      <ModelSettings
+                        device={device}
+                        settings={modelSettings}
+                        onApply={applyModelSettings}
+                      />
+                    </div>
+                  </div>
+                )}
+
+                <div className="backdrop-blur-sm bg-white/30 rounded-2xl p-6 shadow-xl border border-white/50">
+                  <div className="space-y-4">
+                    <div className="space-y-1">
+                      <h2 className="text-xl font-semibold text-primary-900">Export</h2>
+                      <p className="text-sm text-primary-700">Download this session&apos;s transcript as captions or notes</p>
+                    </div>
+                    <ExportMenu
+                      getSegments={() => broadcaster.current.getSegments()}
+                      filename={`tawi-${channelId.current}`}
+                      translationLanguages={fanout ? fanoutLanguages : []}
+                      metadata={{ channelId: channelId.current }}
+                    />
+                  </div>
+                </div>
               </div>
             )}
 
@@ -379,12 +1012,6 @@ function App({ supabase }) {
         </div>
       </div>
     </div>
-  ) : (
-    <div className="fixed inset-0 bg-gradient-to-br from-primary-900 to-accent-dark text-white text-2xl font-semibold flex flex-col justify-center items-center text-center p-6 space-y-4">
-      <span className="text-4xl">😢</span>
-      <p>WebGPU is not supported by this browser</p>
-      <p className="text-lg text-primary-200">Try using Chrome Canary or another browser with WebGPU support</p>
-    </div>
   );
 }
 
@@ -0,0 +1,382 @@
+import { useRef, useState } from 'react';
+
+import Progress from '../components/Progress';
+import GitHubLink from '../components/GitHubLink';
+import ExportMenu from '../components/ExportMenu';
+import TargetLanguages from '../components/TargetLanguages';
+import TranscriptHistory from '../components/TranscriptHistory';
+import WorkerErrorBanner from '../components/WorkerErrorBanner';
+import { AUTO_DETECT, LanguageSelector } from '../components/LanguageSelectorBroadcaster';
+import { decodeAudioFile } from '../utils/audio';
+import { detectDevice } from '../utils/device';
+import { languageMapping } from '../utils/languages';
+import { loadModelSettings } from '../utils/modelSettings';
+import { formatOffset } from '../utils/utils';
+import { ERROR_CODES } from '../utils/workerErrors';
+import { useTranslationWorker } from '../hooks/useTranslationWorker';
+
+// Captions a recorded talk: the file is decoded here, transcribed with
+// timestamps by the transcription worker and optionally translated.
+function App() {
+  // Model loading
+  const worker = useRef(null);
+  const onMessageReceived = useRef(null);
+  const [status, setStatus] = useState(null);
+  const [loadingMessage, setLoadingMessage] = useState('');
+  const [progressItems, setProgressItems] = useState([]);
+  const [error, setError] = useState(null);
+  // The model is only loaded once there is something to transcribe. Audio
+  // decoded before it is ready waits here.
+  const modelReady = useRef(false);
+  const pendingJob = useRef(null);
+
+  // Input
+  const [file, setFile] = useState(null);
+  const [language, setLanguage] = useState(AUTO_DETECT);
+
+  // 'decoding' or 'transcribing' while busy
+  const [stage, setStage] = useState(null);
+  const [progress, setProgress] = useState(null);
+  // Name of the file being or last transcribed, which may no longer be the
+  // one picked
+  const [source, setSource] = useState(null);
+
+  // Output, as segments (see `exporters.js`) timed from the start of the file
+  const [segments, setSegments] = useState([]);
+  const segmentsRef = useRef([]);
+
+  // Translation
+  const [targetLanguages, setTargetLanguages] = useState(['eng_Latn']);
+  const [translating, setTranslating] = useState(false);
+  const [backlog, setBacklog] = useState(0);
+  const translator = useTranslationWorker({
+    onChange: setBacklog,
+    // Every segment is final and wanted, so nothing may be dropped
+    maxPending: Infinity,
+    onError: (data, job, restarting) => setError({ ...data, translation: true, restarting }),
+    onComplete: (job, data) => {
+      setError((prev) => (prev?.restarting ? null : prev));
+      if (job) setTranslation(job.segmentId, job.tgt_lang, data.output[0].translation_text);
+    },
+  });
+
+  const updateSegments = (fn) => {
+    segmentsRef.current = fn(segmentsRef.current);
+    setSegments(segmentsRef.current);
+  };
+
+  const setTranslation = (segmentId, tgt_lang, text) => {
+    updateSegments((prev) =>
+      prev.map((segment) =>
+        segment.segmentId === segmentId
+          ? { ...segment, translations: { ...segment.translations, [tgt_lang]: text } }
+          : segment
+      )
+    );
+  };
+
+  const createWorker = () => {
+    modelReady.current = false;
+    worker.current = new Worker(
+      new URL('../transcriptionWorker.js', import.meta.url),
+      {
+        type: 'module',
+      }
+    );
+    worker.current.addEventListener('message', (e) => onMessageReceived.current?.(e));
+
+    // Use the model picked in the broadcaster's settings
+    detectDevice().then((device) => {
+      worker.current.postMessage({ type: 'load', data: loadModelSettings(device) });
+    });
+  };
+
+  // Callback for messages from the worker thread, refreshed on every render
+  onMessageReceived.current = (e) => {
+    switch (e.data.status) {
+      case 'loading':
+        setStatus('loading');
+        setLoadingMessage(e.data.data);
+        break;
+
+      case 'initiate':
+        setProgressItems((prev) => [...prev, e.data]);
+        break;
+
+      case 'progress':
+        setProgressItems((prev) =>
+          prev.map((item) => (item.file === e.data.file ? { ...item, ...e.data } : item))
+        );
+        break;
+
+      case 'done':
+        setProgressItems((prev) => prev.filter((item) => item.file !== e.data.file));
+        break;
+
+      case 'ready':
+        setStatus('ready');
+        modelReady.current = true;
+        if (pendingJob.current) {
+          startTranscription(pendingJob.current);
+          pendingJob.current = null;
+        }
+        break;
+
+      case 'file-progress':
+        setProgress(e.data.done / e.data.total);
+        break;
+
+      case 'file-complete': {
+        const { chunks, duration, language, confidence } = e.data;
+        updateSegments(() =>
+          chunks
+            .filter((chunk) => chunk.text.trim())
+            .map((chunk, i) => ({
+              segmentId: String(i),
+              revision: 0,
+              isFinal: true,
+              start: Math.round(chunk.timestamp[0] * 1000),
+              end: Math.round((chunk.timestamp[1] ?? duration) * 1000),
+              text: chunk.text.trim(),
+              language,
+              src_lang: languageMapping[language],
+              languageConfidence: confidence ?? undefined,
+              translations: {},
+            }))
+        );
+        setStage(null);
+        setProgress(null);
+        break;
+      }
+
+      case 'error':
+        setError(e.data);
+        pendingJob.current = null;
+        if (!modelReady.current) {
+          // The model failed to load: the next transcription tries again
+          // with a fresh worker
+          worker.current.terminate();
+          worker.current = null;
+          setStatus(null);
+          setProgressItems([]);
+        }
+        setStage(null);
+        setProgress(null);
+        break;
+    }
+  };
+
+  const startTranscription = ({ audio, language }) => {
+    worker.current.postMessage({ type: 'transcribe-file', data: { audio, language } }, [audio.buffer]);
+  };
+
+  const transcribe = async () => {
+    if (!worker.current) createWorker();
+    setError(null);
+    setSource(file.name);
+    setStage('decoding');
+    updateSegments(() => []);
+    setTranslating(false);
+    translator.queue.clear();
+
+    let audio;
+    try {
+      audio = await decodeAudioFile(file);
+    } catch (error) {
+      setError({ code: ERROR_CODES.UNKNOWN, message: `Could not decode ${file.name}: ${error.message}` });
+      setStage(null);
+      return;
+    }
+
+    setStage('transcribing');
+    setProgress(0);
+    if (modelReady.current) {
+      startTranscription({ audio, language });
+    } else {
+      pendingJob.current = { audio, language };
+    }
+  };
+
+  // Translate every segment into `languages` where it isn't yet
+  const translate = (languages) => {
+    setTranslating(true);
+    for (const segment of segmentsRef.current) {
+      for (const tgt_lang of languages) {
+        if (tgt_lang in segment.translations || !segment.src_lang) continue;
+        if (segment.src_lang === tgt_lang) {
+          setTranslation(segment.segmentId, tgt_lang, segment.text);
+          continue;
+        }
+        translator.queue.enqueue({
+          segmentId: segment.segmentId,
+          revision: 0,
+          isFinal: true,
+          text: segment.text,
+          src_lang: segment.src_lang,
+          tgt_lang,
+        });
+      }
+    }
+  };
+
+  const retry = () => {
+    setError(null);
+    if (error.translation) {
+      translator.reset();
+      translate(targetLanguages);
+    } else if (error.fatal) {
+      // The worker can't recover: start over with a new one
+      worker.current?.terminate();
+      setProgressItems([]);
+      setStatus(null);
+      createWorker();
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-400 via-accent-light to-primary-600 animate-gradient">
+      <div className="h-full min-h-screen overflow-auto scrollbar-thin flex justify-center items-center flex-col relative p-6">
+        {/* Decorative elements */}
+        <div className="absolute inset-0 bg-white/30 backdrop-blur-md" />
+        <div className="absolute -top-24 -right-24 w-96 h-96 bg-accent/30 rounded-full blur-3xl" />
+        <div className="absolute -bottom-24 -left-24 w-96 h-96 bg-primary-300/30 rounded-full blur-3xl" />
+
+        {/* Content */}
+        <div className="relative z-10 w-full max-w-4xl">
+          <GitHubLink url="https://github.com/OnsongoMabeya/TAWI-transcribe-and-translate" />
+
+          <div className="flex flex-col items-center mb-12">
+            <div className="text-center space-y-6">
+              <h1 className="text-6xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-primary-900 to-accent-dark">
+                TAWI - Recordings
+              </h1>
+              <div className="max-w-2xl mx-auto">
+                <p className="text-2xl font-medium text-primary-800 leading-relaxed">
+                  Caption and translate recorded talks, entirely in your browser
+                </p>
+                <a
+                  href={`${import.meta.env.BASE_URL}#/`}
+                  className="text-primary-800 underline hover:text-accent-dark transition-colors"
+                >
+                  Broadcast live instead
+                </a>
+              </div>
+            </div>
+          </div>
+
+          <div className="flex flex-col items-center space-y-8 w-full max-w-3xl mx-auto">
+            {error && (
+              <WorkerErrorBanner
+                title={error.translation ? 'Translation error' : 'Transcription error'}
+                error={error}
+                restarting={error.restarting}
+                onRetry={error.translation || error.fatal ? retry : null}
+                onDismiss={() => setError(null)}
+              />
+            )}
+
+            {status === 'loading' && (
+              <div className="w-full backdrop-blur-sm bg-white/30 rounded-2xl p-8 shadow-xl border border-white/50">
+                <div className="text-center mb-8">
+                  <h2 className="text-2xl font-semibold text-primary-900 mb-2">Loading Models</h2>
+                  <p className="text-lg text-primary-800">{loadingMessage}</p>
+                </div>
+                <div className="space-y-6">
+                  {progressItems.map(({ file, progress, total }, i) => (
+                    <Progress key={i} text={file} percentage={progress} total={total} />
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="w-full backdrop-blur-sm bg-white/30 rounded-2xl p-6 shadow-xl border border-white/50">
+              <div className="space-y-4">
+                <div className="space-y-1">
+                  <h2 className="text-xl font-semibold text-primary-900">Recording</h2>
+                  <p className="text-sm text-primary-700">Any audio or video file your browser can play</p>
+                </div>
+                <div className="flex flex-wrap items-center gap-4">
+                  <input
+                    type="file"
+                    accept="audio/*,video/*"
+                    onChange={(e) => setFile(e.target.files[0] ?? null)}
+                    disabled={stage !== null}
+                    className="flex-1 text-primary-900"
+                  />
+                  <LanguageSelector language={language} setLanguage={setLanguage} />
+                  <button
+                    className="px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={transcribe}
+                    disabled={!file || status === 'loading' || stage !== null}
+                  >
+                    Transcribe
+                  </button>
+                </div>
+                {stage === 'decoding' && (
+                  <p className="text-sm text-primary-700">Decoding {source}...</p>
+                )}
+                {stage === 'transcribing' && (
+                  <Progress text={`Transcribing ${source}`} percentage={progress * 100} />
+                )}
+              </div>
+            </div>
+
+            {segments.length > 0 && (
+              <div className="w-full backdrop-blur-sm bg-white/30 rounded-2xl p-6 shadow-xl border border-white/50">
+                <div className="space-y-6">
+                  <div className="flex items-start justify-between">
+                    <div className="space-y-1">
+                      <h2 className="text-2xl font-semibold text-primary-900">Transcript</h2>
+                      <p className="text-sm text-primary-700">
+                        {segments.length} segments
+                        {backlog > 0 && (
+                          <span className="ml-2 px-2 py-1 bg-white/50 rounded-lg font-medium">
+                            {backlog} to translate
+                          </span>
+                        )}
+                      </p>
+                    </div>
+                    <div className="flex flex-col items-end space-y-2">
+                      <TargetLanguages
+                        languages={targetLanguages}
+                        onChange={(languages) => {
+                          setTargetLanguages(languages);
+                          if (translating) translate(languages);
+                        }}
+                      />
+                      {!translating && (
+                        <button
+                          className="px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors font-medium"
+                          onClick={() => translate(targetLanguages)}
+                        >
+                          Translate
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  <TranscriptHistory
+                    items={segments}
+                    targetLanguages={translating ? targetLanguages : []}
+                    formatStart={formatOffset}
+                  />
+                  <div className="space-y-4">
+                    <h2 className="text-2xl font-semibold text-primary-900">Export</h2>
+                    <ExportMenu
+                      getSegments={() => segmentsRef.current}
+                      filename={source.replace(/\.[^.]*$/, '')}
+                      translationLanguages={translating ? targetLanguages : []}
+                      metadata={{ source }}
+                      origin={0}
+                    />
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default App;
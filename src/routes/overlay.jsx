@@ -0,0 +1,177 @@
+import { useEffect, useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { languageMapping } from '../utils/languages';
+import { parseOverlayOptions } from '../utils/overlay';
+import { randomId } from '../utils/utils';
+import { useChannelTranscripts } from '../hooks/useChannelTranscripts';
+import { useTranslationWorker } from '../hooks/useTranslationWorker';
+
+// How often lines are checked for fading out while some are shown
+const TICK_INTERVAL = 250; // ms
+
+const JUSTIFY = { top: 'justify-start', middle: 'justify-center', bottom: 'justify-end' };
+
+// Shown instead of captions when the channel can't be read
+const ENCRYPTION_NOTICES = {
+  'invalid-key': 'The key in this link is damaged.',
+  locked: 'This channel is encrypted. Use the full receiver link, which includes the key.',
+};
+
+// An outline from shadows, which OBS's browser source renders reliably
+function outlineShadow(color, size) {
+  const width = Math.max(1, Math.round(size / 20));
+  return [
+    [-width, -width], [width, -width], [-width, width], [width, width],
+  ]
+    .map(([x, y]) => `${x}px ${y}px 0 ${color}`)
+    .concat(`0 0 ${width * 3}px ${color}`)
+    .join(', ');
+}
+
+// `captions` with `fn` applied to the one for `segmentId`, if any
+function updateCaption(captions, segmentId, fn) {
+  return captions.map((caption) => (caption.segmentId === segmentId ? fn(caption) : caption));
+}
+
+// Only the latest captions on a transparent background, for use as a
+// browser source when streaming. Configured through the query (see
+// `overlay.js`). Translations come from the broadcaster when it makes them,
+// and from a translation worker on this page otherwise.
+function App({ transport }) {
+  const { channelId } = useParams();
+  const [searchParams] = useSearchParams();
+  const key = searchParams.get('key');
+  const [options] = useState(() => parseOverlayOptions(searchParams));
+
+  // Newest last. `shownAt` is when the text in the chosen language last changed.
+  const [captions, setCaptions] = useState([]);
+  const [now, setNow] = useState(Date.now);
+  const [requestId] = useState(randomId);
+
+  // Captions stay untranslated once the worker failed too often
+  const { queue, failed } = useTranslationWorker({
+    onError: (data) => console.error('Translation failed:', data),
+    onComplete: (job, data) => {
+      if (job) setTranslation(job.segmentId, data.output[0].translation_text);
+    },
+  });
+
+  const setTranslation = (segmentId, text) => {
+    setCaptions((prev) =>
+      updateCaption(prev, segmentId, (caption) => ({
+        ...caption,
+        translation: text,
+        shownAt: Date.now(),
+      }))
+    );
+  };
+
+  // Text of a caption in the chosen language, or null while it is being
+  // translated. Without a translation model it falls back to the original.
+  const displayText = (caption) => {
+    if (!options.lang || caption.src_lang === options.lang) return caption.text;
+    return caption.translation ?? (failed.current || !caption.src_lang ? caption.text : null);
+  };
+
+  const { encryption, glossary } = useChannelTranscripts(transport, channelId, {
+    key,
+    // Nothing said before is replayed, but broadcasters send their glossary
+    // in answer
+    requestId,
+    since: Date.now(),
+    onTranscript: (payload) => {
+      const src_lang = languageMapping[payload.language];
+      const caption = {
+        segmentId: payload.segmentId,
+        revision: payload.revision,
+        text: payload.text,
+        src_lang,
+        shownAt: Date.now(),
+      };
+      setCaptions((prev) => {
+        const index = prev.findIndex((other) => other.segmentId === caption.segmentId);
+        if (index === -1) return [...prev, caption].slice(-options.lines * 2);
+        return prev.map((other, i) =>
+          i === index ? { ...caption, translation: other.translation } : other
+        );
+      });
+
+      const { lang } = options;
+      if (
+        lang &&
+        src_lang &&
+        src_lang !== lang &&
+        !payload.translatedTo?.includes(lang) &&
+        !failed.current
+      ) {
+        queue.enqueue({
+          segmentId: payload.segmentId,
+          revision: payload.revision,
+          isFinal: payload.isFinal,
+          text: payload.text,
+          src_lang,
+          tgt_lang: lang,
+          glossary: glossary(),
+        });
+      }
+    },
+    onTranslation: (payload) => {
+      if (payload.language !== options.lang) return;
+      setCaptions((prev) =>
+        updateCaption(prev, payload.segmentId, (caption) =>
+          payload.revision < caption.revision
+            ? caption
+            : { ...caption, translation: payload.text, shownAt: Date.now() }
+        )
+      );
+    },
+  });
+  const notice = ENCRYPTION_NOTICES[encryption] ?? null;
+
+  const fade = options.fade * 1000;
+  const fadeDuration = options.fadeDuration * 1000;
+  const visible = captions
+    .map((caption) => ({ ...caption, text: displayText(caption) }))
+    .filter((caption) => caption.text && (fade === 0 || now - caption.shownAt < fade + fadeDuration))
+    .slice(-options.lines);
+
+  // Re-render while lines are waiting to fade out
+  const fading = fade > 0 && visible.length > 0;
+  useEffect(() => {
+    if (!fading) return;
+    const timer = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [fading]);
+
+  const textStyle = {
+    fontFamily: options.font,
+    fontSize: `${options.size}px`,
+    color: options.color,
+    textAlign: options.align,
+    textShadow: outlineShadow(options.outline, options.size),
+    transition: `opacity ${options.fadeDuration}s`,
+  };
+
+  return (
+    <div className={`fixed inset-0 flex flex-col p-8 ${JUSTIFY[options.position]}`}>
+      {(notice || visible.length > 0) && (
+        <div
+          className="px-6 py-3 rounded-xl space-y-2 leading-snug"
+          style={{ backgroundColor: options.background }}
+        >
+          {notice && <p style={textStyle}>{notice}</p>}
+          {visible.map((caption) => (
+            <p
+              key={caption.segmentId}
+              style={{ ...textStyle, opacity: fade > 0 && now - caption.shownAt >= fade ? 0 : 1 }}
+            >
+              {caption.text}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default App;
@@ -1,58 +1,163 @@
 import { useEffect, useRef, useState } from 'react';
-import LanguageSelector from '../components/LanguageSelectorReceiver';
+import TargetLanguages from '../components/TargetLanguages';
 import Progress from '../components/Progress';
+import TranscriptHistory from '../components/TranscriptHistory';
+import ExportMenu from '../components/ExportMenu';
 import GitHubLink from '../components/GitHubLink';
-import { LANGUAGES, languageMapping } from '../utils/languages';
-import { useParams } from 'react-router-dom';
+import SpeechControls from '../components/SpeechControls';
+import WorkerErrorBanner from '../components/WorkerErrorBanner';
+import FeedbackForm from '../components/FeedbackForm';
+import { getLanguageName, languageMapping } from '../utils/languages';
+import { FEEDBACK_EVENT, createFeedback, createListenerPresence } from '../utils/protocol';
+import { SpeechQueue, speechLanguage, speechSupported } from '../utils/speech';
+import { RateLimiter } from '../utils/feedback';
+import { useChannelTranscripts } from '../hooks/useChannelTranscripts';
+import { useTranslationWorker } from '../hooks/useTranslationWorker';
+import { randomId } from '../utils/utils';
+import { useParams, useSearchParams } from 'react-router-dom';
 
-function App({ supabase }) {
+// Only the newest segments are rendered so long sessions stay responsive
+const MAX_HISTORY_ITEMS = 200;
+// The session is kept for exporting up to this many segments
+const MAX_SESSION_SEGMENTS = 5000;
+// Weight of the newest measurement in the word delay estimate
+const WORD_DELAY_SMOOTHING = 0.1;
+
+function App({ transport }) {
   // Model loading
   const [ready, setReady] = useState(null);
-  const disabled = useRef(false);
   const [progressItems, setProgressItems] = useState([]);
 
   // Inputs and outputs
-  const [input, setInput] = useState('Hallo.');
-  const inputRef = useRef(input);
+  const [history, setHistory] = useState([]);
+  const historyRef = useRef([]);
   const [sourceLanguage, setSourceLanguage] = useState('deu_Latn');
-  const sourceLanguageRef = useRef(sourceLanguage);
-  const [targetLanguage, setTargetLanguage] = useState('eng_Latn');
-  const targetLanguageRef = useRef(targetLanguage);
-  const [output, setOutput] = useState('');
+  const [targetLanguages, setTargetLanguages] = useState(['eng_Latn']);
+  const targetLanguagesRef = useRef(targetLanguages);
+  const [layout, setLayout] = useState('stacked');
+  // Languages the broadcaster translates into itself
+  const [translatedTo, setTranslatedTo] = useState([]);
+  // How long after a word is spoken it gets here, for karaoke highlighting.
+  // Includes transcription time and any clock difference to the broadcaster.
+  const [wordDelay, setWordDelay] = useState(null);
+  const wordDelayRef = useRef(null);
+
+  // Translation jobs waiting for (or running in) the worker
+  const [backlog, setBacklog] = useState(0);
+  const [cacheStats, setCacheStats] = useState(null);
+  // Worker errors. After too many fatal ones in a row, nothing is
+  // translated here until the user retries.
+  const [error, setError] = useState(null);
+
+  // Reading translations aloud
+  const [speech, setSpeech] = useState({
+    enabled: false,
+    language: targetLanguages[0],
+    voiceURI: '',
+    rate: 1,
+    volume: 1,
+    skipToLatest: false,
+  });
+  const speechRef = useRef(speech);
+  // Segments received before this time are never read out
+  const speakSince = useRef(0);
+  const [speechBacklog, setSpeechBacklog] = useState(0);
+  const speechQueue = useRef(null);
+  if (speechSupported) {
+    speechQueue.current ??= new SpeechQueue({
+      getOptions: () => ({
+        ...speechRef.current,
+        voice: speechSynthesis
+          .getVoices()
+          .find((voice) => voice.voiceURI === speechRef.current.voiceURI),
+      }),
+      onChange: setSpeechBacklog,
+    });
+  }
+
+  const updateSpeech = (settings) => {
+    const previous = speechRef.current;
+    setSpeech(settings);
+    speechRef.current = settings;
+    if (!settings.enabled || settings.language !== previous.language) {
+      speechQueue.current?.stop();
+    }
+    if (settings.enabled && (!previous.enabled || settings.language !== previous.language)) {
+      speakSince.current = Date.now();
+    }
+  };
+
+  const updateHistory = (fn) => {
+    historyRef.current = fn(historyRef.current);
+    setHistory(historyRef.current.slice(-MAX_HISTORY_ITEMS));
+  };
+
+  // Jumps up when words arrive late, so highlighting never gets ahead of the
+  // text, and creeps back down when they arrive sooner
+  const updateWordDelay = (segment) => {
+    const latency = segment.receivedAt - segment.words[segment.words.length - 1].end;
+    const previous = wordDelayRef.current ?? latency;
+    wordDelayRef.current = Math.round(
+      Math.max(latency, previous * (1 - WORD_DELAY_SMOOTHING) + latency * WORD_DELAY_SMOOTHING)
+    );
+    setWordDelay(wordDelayRef.current);
+  };
+
+  const setTranslation = (segmentId, tgt_lang, text) => {
+    updateHistory((prev) =>
+      prev.map((item) =>
+        item.segmentId === segmentId
+          ? { ...item, translations: { ...item.translations, [tgt_lang]: text } }
+          : item
+      )
+    );
+  };
+
+  // Queue a finished translation for reading aloud if it's in the chosen
+  // language. Partial translations are never spoken.
+  const speak = (segmentId, tgt_lang, text, isFinal) => {
+    const settings = speechRef.current;
+    if (!isFinal || !settings.enabled || tgt_lang !== settings.language) return;
+    const item = historyRef.current.findLast((item) => item.segmentId === segmentId);
+    if (!item || item.replayed || item.receivedAt < speakSince.current) return;
+    speechQueue.current.enqueue({ text, lang: speechLanguage(tgt_lang) });
+  };
 
   // Broadcast
   const { channelId } = useParams();
 
-  // Create a reference to the worker object.
-  const worker = useRef(null);
-
-  // We use the `useEffect` hook to setup the worker as soon as the `App` component is mounted.
-  useEffect(() => {
-    if (!worker.current) {
-      // Create the worker if it does not yet exist.
-      worker.current = new Worker(
-        new URL('../translationWorker.js', import.meta.url),
-        {
-          type: 'module',
-        }
-      );
-    }
+  // End-to-end encrypted when the link carries the key
+  const [searchParams] = useSearchParams();
+  const key = searchParams.get('key');
 
-    // Create a callback function for messages from the worker thread.
-    const onMessageReceived = (e) => {
-      switch (e.data.status) {
+  // Back-channel to the broadcaster. Holding back here spares the listener
+  // messages the broadcaster would drop anyway.
+  const listenerId = useRef(randomId());
+  const feedbackCount = useRef(0);
+  const feedbackLimiter = useRef(null);
+  feedbackLimiter.current ??= new RateLimiter();
+  const [feedbackStatus, setFeedbackStatus] = useState(null);
+  // Known once something was broadcast
+  const speakerLanguage = history.length > 0 ? sourceLanguage : null;
+
+  // Listeners who only pick languages the broadcaster translates into never
+  // download the translation model
+  const { queue, failed, reset } = useTranslationWorker({
+    onChange: setBacklog,
+    onStatus: (data) => {
+      switch (data.status) {
         case 'initiate':
           // Model file start load: add a new progress item to the list.
           setReady(false);
-          setProgressItems((prev) => [...prev, e.data]);
+          setProgressItems((prev) => [...prev, data]);
           break;
 
         case 'progress':
           // Model file progress: update one of the progress items.
           setProgressItems((prev) =>
             prev.map((item) => {
-              if (item.file === e.data.file) {
-                return { ...item, progress: e.data.progress };
+              if (item.file === data.file) {
+                return { ...item, progress: data.progress };
               }
               return item;
             })
@@ -62,7 +167,7 @@ function App({ supabase }) {
         case 'done':
           // Model file loaded: remove the progress item from the list.
           setProgressItems((prev) =>
-            prev.filter((item) => item.file !== e.data.file)
+            prev.filter((item) => item.file !== data.file)
           );
           break;
 
@@ -71,56 +176,226 @@ function App({ supabase }) {
           setReady(true);
           break;
 
-        case 'update':
+        case 'update': {
           // Generation update: update the output text.
-          setOutput(e.data.output);
+          const job = queue.get(data.id);
+          if (job?.segmentId) {
+            setTranslation(job.segmentId, job.tgt_lang, data.output);
+          }
           break;
+        }
+      }
+    },
+    onError: (data, job, restarting) => {
+      // A question that can't be translated is sent as typed
+      if (job?.feedbackId) sendQuestion(job.feedbackId, job.text, job.src_lang);
+      setError({ ...data, restarting });
+      if (data.fatal) {
+        setReady(null);
+        setProgressItems([]);
+      }
+    },
+    onComplete: (job, data) => {
+      setCacheStats(data.stats);
+      setError((prev) => (prev?.restarting ? null : prev));
+      if (job?.segmentId) {
+        const text = data.output[0].translation_text;
+        setTranslation(job.segmentId, job.tgt_lang, text);
+        speak(job.segmentId, job.tgt_lang, text, job.isFinal);
+      } else if (job?.feedbackId) {
+        sendQuestion(job.feedbackId, data.output[0].translation_text, job.tgt_lang, {
+          original: job.text,
+          originalLanguage: job.src_lang,
+        });
+      }
+    },
+  });
 
-        case 'complete':
-          setOutput(e.data.output[0].translation_text);
-          disabled.current = false;
-          break;
+  const translate = (segment, languages = targetLanguagesRef.current) => {
+    for (const tgt_lang of languages) {
+      // Arrives as a `translation` event from the broadcaster
+      if (segment.translatedTo.includes(tgt_lang)) continue;
+      if (!segment.src_lang) continue; // NLLB doesn't know it
+      if (segment.src_lang === tgt_lang) {
+        setTranslation(segment.segmentId, tgt_lang, segment.text);
+        speak(segment.segmentId, tgt_lang, segment.text, segment.isFinal);
+        continue;
       }
-    };
+      if (failed.current) continue;
+      queue.enqueue({
+        segmentId: segment.segmentId,
+        revision: segment.revision,
+        isFinal: segment.isFinal,
+        text: segment.text,
+        src_lang: segment.src_lang,
+        tgt_lang,
+        glossary: glossary(),
+      });
+    }
+  };
 
-    // Attach the callback function as an event listener.
-    worker.current.addEventListener('message', onMessageReceived);
+  const sendFeedback = (fields) => {
+    channel.current?.send({
+      type: 'broadcast',
+      event: FEEDBACK_EVENT,
+      payload: createFeedback({ listenerId: listenerId.current, ...fields }),
+    });
+  };
 
-    // Define a cleanup function for when the component is unmounted.
-    return () =>
-      worker.current.removeEventListener('message', onMessageReceived);
-  });
+  const sendQuestion = (feedbackId, text, language, original) => {
+    sendFeedback({ feedbackId, kind: 'question', text, language, ...original });
+    setFeedbackStatus('sent');
+  };
+
+  const nextFeedbackId = () => `${listenerId.current}-${feedbackCount.current++}`;
 
-  const translate = () => {
-    if (disabled.current) return;
-    if (sourceLanguageRef.current === targetLanguageRef.current) {
-      setOutput(inputRef.current);
+  const react = (reaction) => {
+    if (!feedbackLimiter.current.allow(listenerId.current)) {
+      setFeedbackStatus('limited');
       return;
     }
-    disabled.current = true;
-    console.log('Translating...');
-    worker.current.postMessage({
-      text: inputRef.current,
-      src_lang: sourceLanguageRef.current,
-      tgt_lang: targetLanguageRef.current,
+    sendFeedback({ feedbackId: nextFeedbackId(), kind: 'reaction', reaction });
+    setFeedbackStatus('sent');
+  };
+
+  // Questions are written in the first target language and translated into
+  // the speaker's language first, ahead of any transcript backlog
+  const ask = (text) => {
+    if (!feedbackLimiter.current.allow(listenerId.current)) {
+      setFeedbackStatus('limited');
+      return false;
+    }
+    const feedbackId = nextFeedbackId();
+    const src_lang = targetLanguagesRef.current[0];
+    const tgt_lang = speakerLanguage;
+    if (!tgt_lang || tgt_lang === src_lang || failed.current) {
+      sendQuestion(feedbackId, text, src_lang);
+      return true;
+    }
+    queue.enqueue({
+      feedbackId,
+      revision: 0,
+      isFinal: true,
+      urgent: true,
+      text,
+      src_lang,
+      tgt_lang,
     });
+    setFeedbackStatus('translating');
+    return true;
   };
 
-  // Start on load
-  useEffect(() => {
-    translate();
-    // Subscribe to Supabase realtime broadcast
-    const channel = supabase.channel(channelId);
-    channel
-      .on('broadcast', { event: 'transcript' }, ({ payload }) => {
-        setInput(payload.message);
-        inputRef.current = payload.message;
-        setSourceLanguage(languageMapping[payload.language]);
-        sourceLanguageRef.current = languageMapping[payload.language];
-        translate();
-      })
-      .subscribe();
-  }, []);
+  const updateTargetLanguages = (languages) => {
+    const added = languages.filter(
+      (language) => !targetLanguagesRef.current.includes(language)
+    );
+    setTargetLanguages(languages);
+    targetLanguagesRef.current = languages;
+    if (!languages.includes(speechRef.current.language)) {
+      updateSpeech({ ...speechRef.current, language: languages[0], voiceURI: '' });
+    }
+
+    translateMissing(added);
+    channel.current?.track(createListenerPresence(languages));
+  };
+
+  // Translate what's on screen into `languages` where it isn't yet, newest
+  // first. Segments seen before in a language come straight from the cache.
+  const translateMissing = (languages) => {
+    for (const item of historyRef.current.slice(-MAX_HISTORY_ITEMS).reverse()) {
+      translate(item, languages.filter((language) => !(language in item.translations)));
+    }
+  };
+
+  const retry = () => {
+    setError(null);
+    reset();
+    translateMissing(targetLanguagesRef.current);
+  };
+
+  // A history item for a transcript, or a segment in a sync response
+  const toHistoryItem = (payload) => ({
+    segmentId: payload.segmentId,
+    revision: payload.revision,
+    text: payload.text,
+    // Whisper's code, as in the broadcaster's exports
+    language: payload.language,
+    // Translated from its own language, which may change mid-session
+    // when the broadcaster auto-detects it or another speaker takes over
+    src_lang: languageMapping[payload.language],
+    languageConfidence: payload.languageConfidence,
+    speaker: payload.speaker,
+    start: payload.start,
+    end: payload.end,
+    isFinal: payload.isFinal,
+    words: payload.words,
+    translatedTo: payload.translatedTo ?? [],
+    receivedAt: Date.now(),
+    translations: {},
+  });
+
+  // Segments said before this page joined, from a sync response. They are
+  // merged in order and translated, but not read aloud.
+  const catchUp = (segments) => {
+    const replayed = segments.map((segment) => ({
+      ...toHistoryItem(segment),
+      translations: segment.translations ?? {},
+      replayed: true,
+    }));
+    const ids = new Set(replayed.map((item) => item.segmentId));
+    updateHistory((prev) =>
+      [...prev.filter((item) => !ids.has(item.segmentId)), ...replayed]
+        .sort((a, b) => a.start - b.start)
+        .slice(-MAX_SESSION_SEGMENTS)
+    );
+    const latest = historyRef.current[historyRef.current.length - 1];
+    setSourceLanguage(latest.src_lang);
+    translateMissing(targetLanguagesRef.current);
+  };
+
+  const { channel, encryption, rejected, missed, glossary } = useChannelTranscripts(
+    transport,
+    channelId,
+    {
+      key,
+      // Catch up on what was said before we joined
+      requestId: listenerId.current,
+      since: 0,
+      onTranscript: (payload) => {
+        const segment = toHistoryItem(payload);
+        updateHistory((prev) => {
+          const index = prev.findIndex(
+            (item) => item.segmentId === segment.segmentId
+          );
+          if (index === -1) {
+            return [...prev, segment].slice(-MAX_SESSION_SEGMENTS);
+          }
+          // Keep the previous translation on screen until the new one arrives
+          return prev.map((item, i) =>
+            i === index ? { ...segment, translations: item.translations } : item
+          );
+        });
+        if (segment.words?.length > 0) updateWordDelay(segment);
+        setSourceLanguage(segment.src_lang);
+        setTranslatedTo(segment.translatedTo);
+        translate(segment);
+      },
+      onCatchUp: (sessionId, segments) => catchUp(segments),
+      onTranslation: (payload) => {
+        const item = historyRef.current.find(
+          (item) => item.segmentId === payload.segmentId
+        );
+        // Translations of superseded revisions are dropped
+        if (!item || payload.revision < item.revision) return;
+        setTranslation(payload.segmentId, payload.language, payload.text);
+        speak(payload.segmentId, payload.language, payload.text, payload.isFinal);
+      },
+      // Let the broadcaster know someone is listening, and in what
+      onSubscribed: (subscribed) => subscribed.track(createListenerPresence(targetLanguagesRef.current)),
+    }
+  );
+
+  useEffect(() => () => speechQueue.current?.stop(), []);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-primary-400 via-accent-light to-primary-600 animate-gradient">
@@ -149,45 +424,142 @@ function App({ supabase }) {
 
           <div className="flex flex-col items-center space-y-8 w-full max-w-3xl mx-auto">
             <div className="w-full space-y-6">
+              {(encryption === 'locked' || encryption === 'invalid-key') && (
+                <div className="w-full backdrop-blur-sm bg-red-50/80 rounded-2xl p-6 shadow-xl border border-red-200" role="alert">
+                  <h2 className="text-lg font-semibold text-red-900">🔒 This channel is encrypted</h2>
+                  <p className="text-red-800">
+                    {encryption === 'locked'
+                      ? 'Ask the broadcaster for the full receiver link, which includes the key.'
+                      : 'The key in this link is damaged. Ask the broadcaster for the link again.'}
+                  </p>
+                </div>
+              )}
+              {error && (
+                <WorkerErrorBanner
+                  title="Translation error"
+                  error={error}
+                  restarting={error.restarting}
+                  onRetry={retry}
+                  onDismiss={() => setError(null)}
+                />
+              )}
               <div className="backdrop-blur-sm bg-white/30 rounded-2xl p-8 shadow-xl border border-white/50">
                 <div className="space-y-6">
                   {/* Transcript Section */}
                   <div className="space-y-4">
                     <div className="flex items-center justify-between">
                       <h2 className="text-2xl font-semibold text-primary-900">Transcript</h2>
+                      {encryption === 'encrypted' && (
+                        <div
+                          className="px-4 py-2 bg-green-100/70 rounded-xl"
+                          title="Only people with this link can read the transcript, not even the relay"
+                        >
+                          <span className="text-sm font-medium text-green-800">
+                            🔒 End-to-end encrypted
+                            {rejected > 0 && ` · ${rejected} rejected`}
+                          </span>
+                        </div>
+                      )}
+                      {missed > 0 && (
+                        <div className="px-4 py-2 bg-accent/20 rounded-xl" title="Some messages from the broadcaster never arrived">
+                          <span className="text-sm font-medium text-accent-dark">
+                            {missed} missed
+                          </span>
+                        </div>
+                      )}
                       <div className="px-4 py-2 bg-white/50 rounded-xl">
                         <span className="text-sm font-medium text-primary-700">
                           Source Language:{' '}
                           <span className="text-accent-dark font-semibold">
-                            {Object.entries(LANGUAGES).find(
-                              ([key, val]) => val === sourceLanguage
-                            )?.[0] || 'Auto-detect'}
+                            {getLanguageName(sourceLanguage) || 'Auto-detect'}
                           </span>
                         </span>
                       </div>
                     </div>
-                    <div className="w-full min-h-[120px] overflow-y-auto overflow-wrap-anywhere rounded-xl bg-white/50 p-4 font-medium text-primary-900">
-                      {input || 'Waiting for broadcast...'}
+                    <div className="flex items-start justify-between">
+                      <p className="text-sm text-primary-700">
+                        Each line shows the original followed by its translation
+                        {translatedTo.length > 0 && (
+                          <span
+                            className="ml-2 px-2 py-1 bg-white/50 rounded-lg font-medium"
+                            title="These languages need no download on this device"
+                          >
+                            Translated by broadcaster:{' '}
+                            {translatedTo.map(getLanguageName).join(', ')}
+                          </span>
+                        )}
+                        {backlog > 0 && (
+                          <span className="ml-2 px-2 py-1 bg-white/50 rounded-lg font-medium">
+                            {backlog} to translate
+                          </span>
+                        )}
+                        {cacheStats?.hits > 0 && (
+                          <span
+                            className="ml-2 px-2 py-1 bg-white/50 rounded-lg font-medium"
+                            title={`${cacheStats.hits} hits, ${cacheStats.misses} misses`}
+                          >
+                            {Math.round(cacheStats.hitRate * 100)}% cached
+                          </span>
+                        )}
+                      </p>
+                      <TargetLanguages
+                        languages={targetLanguages}
+                        onChange={updateTargetLanguages}
+                      />
                     </div>
+                    {targetLanguages.length > 1 && (
+                      <div className="flex justify-end">
+                        <button
+                          className="px-3 py-1 text-sm bg-white/50 text-primary-900 rounded-lg hover:bg-white/70 transition-colors font-medium"
+                          onClick={() => setLayout((prev) => (prev === 'stacked' ? 'columns' : 'stacked'))}
+                        >
+                          {layout === 'stacked' ? 'Show as columns' : 'Show stacked'}
+                        </button>
+                      </div>
+                    )}
+                    <TranscriptHistory
+                      items={history}
+                      targetLanguages={targetLanguages}
+                      layout={layout}
+                      wordDelay={wordDelay}
+                    />
                   </div>
 
-                  {/* Translation Section */}
-                  <div className="space-y-4">
-                    <div className="flex items-center justify-between">
-                      <h2 className="text-2xl font-semibold text-primary-900">Translation</h2>
-                      <LanguageSelector
-                        type={'Target'}
-                        defaultLanguage={targetLanguage}
-                        onChange={(x) => {
-                          setTargetLanguage(x.target.value);
-                          targetLanguageRef.current = x.target.value;
-                          translate();
-                        }}
+                  {/* Speech Section */}
+                  {speechSupported && (
+                    <div className="space-y-4">
+                      <h2 className="text-2xl font-semibold text-primary-900">Listen</h2>
+                      <SpeechControls
+                        settings={speech}
+                        languages={targetLanguages}
+                        onChange={updateSpeech}
+                        backlog={speechBacklog}
+                        onSkip={() => speechQueue.current.skipToLatest()}
                       />
                     </div>
-                    <div className="w-full min-h-[120px] overflow-y-auto overflow-wrap-anywhere rounded-xl bg-white/50 p-4 font-medium text-primary-900">
-                      {output || 'Translation will appear here...'}
-                    </div>
+                  )}
+
+                  {/* Feedback Section */}
+                  <div className="space-y-4">
+                    <h2 className="text-2xl font-semibold text-primary-900">Ask the Speaker</h2>
+                    <FeedbackForm
+                      language={targetLanguages[0]}
+                      speakerLanguage={speakerLanguage}
+                      status={feedbackStatus}
+                      onReact={react}
+                      onAsk={ask}
+                    />
+                  </div>
+
+                  {/* Export Section */}
+                  <div className="space-y-4">
+                    <h2 className="text-2xl font-semibold text-primary-900">Export</h2>
+                    <ExportMenu
+                      getSegments={() => historyRef.current}
+                      filename={`tawi-${channelId}`}
+                      translationLanguages={targetLanguages}
+                      metadata={{ channelId }}
+                    />
                   </div>
                 </div>
               </div>
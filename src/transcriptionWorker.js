@@ -1,46 +1,42 @@
 import {
+    AutomaticSpeechRecognitionPipeline as TranscriptionPipeline,
     AutoTokenizer,
     AutoProcessor,
     WhisperForConditionalGeneration,
     TextStreamer,
+    Tensor,
     full,
-    pipeline,
 } from '@xenova/transformers';
 
-let transcriber = null;
+import { detectDevice } from './utils/device';
+import { defaultModelSettings, describeModel } from './utils/modelSettings';
+import { MAX_SAMPLES, WHISPER_SAMPLING_RATE } from './utils/audio';
+import { RingBuffer } from './utils/ringBuffer';
+import { ERROR_CODES, createErrorMessage } from './utils/workerErrors';
+import { glossaryPrompt } from './utils/glossary';
+import {
+    EnergyVad,
+    SileroVad,
+    SpeechSegmenter,
+    VAD_FRAME_SIZE,
+} from './utils/vad';
 
-self.addEventListener('message', async (event) => {
-    try {
-        if (!transcriber) {
-        self.postMessage({ status: 'loading' });
-        
-        // Add progress callback
-        transcriber = await pipeline('automatic-speech-recognition', 'Xenova/whisper-tiny.en', {
-            progress_callback: (progress) => {
-            self.postMessage({ 
-                status: 'loading-progress',
-                progress: progress
-            });
-            }
-        });
-        
-        self.postMessage({ status: 'ready' });
-        }
+// Audio kept around an utterance so word onsets and endings aren't clipped
+const SPEECH_PAD_SAMPLES = 0.2 * WHISPER_SAMPLING_RATE;
 
-        // Handle transcription
-        const result = await transcriber(event.data);
-        self.postMessage({ status: 'complete', text: result.text });
-        
-    } catch (error) {
-        console.error('Transcription error:', error);
-        self.postMessage({ 
-        status: 'error',
-        error: error.message
-        });
-    }
-});
+// Recordings are transcribed in windows of this length overlapping by the
+// stride on each side; the pipeline merges the overlaps.
+const FILE_CHUNK_SECONDS = 30;
+const FILE_STRIDE_SECONDS = 5;
 
-const MAX_NEW_TOKENS = 64;
+// Passed as the language to detect it per utterance instead
+const AUTO_LANGUAGE = 'auto';
+// Shorter utterances are re-detected on the next pass
+const MIN_DETECTION_SAMPLES = 1 * WHISPER_SAMPLING_RATE;
+
+// Longest glossary prompt, so it fits in the decoder positions that
+// `MAX_NEW_TOKENS_LIMIT` leaves besides the task tokens
+const MAX_PROMPT_TOKENS = 40;
 
 /**
  * This class uses the Singleton pattern to ensure that only one instance of the model is loaded.
@@ -50,9 +46,24 @@ class AutomaticSpeechRecognitionPipeline {
     static tokenizer = null;
     static processor = null;
     static model = null;
+    static device = null;
+    static settings = null;
 
-    static async getInstance(progress_callback = null) {
-        this.model_id = 'onnx-community/whisper-base';
+    // Pass `settings` (see `modelSettings.js`) to switch to another model;
+    // the current one is unloaded first.
+    static async getInstance(progress_callback = null, settings = null) {
+        this.device ??= await detectDevice();
+        settings ??= this.settings ?? defaultModelSettings(this.device);
+        const { model_id } = describeModel(settings);
+        if (
+            this.model &&
+            (model_id !== this.model_id ||
+                JSON.stringify(settings.dtype) !== JSON.stringify(this.settings.dtype))
+        ) {
+            await this.unload();
+        }
+        this.settings = settings;
+        this.model_id = model_id;
 
         this.tokenizer ??= AutoTokenizer.from_pretrained(this.model_id, {
             progress_callback,
@@ -62,28 +73,139 @@ class AutomaticSpeechRecognitionPipeline {
         });
 
         this.model ??= WhisperForConditionalGeneration.from_pretrained(this.model_id, {
-            dtype: {
-                encoder_model: 'fp32', // 'fp16' works too
-                decoder_model_merged: 'q4', // or 'fp32' ('fp16' is broken)
-            },
-            device: 'webgpu',
+            dtype: settings.dtype,
+            device: this.device,
             progress_callback,
         });
 
         return Promise.all([this.tokenizer, this.processor, this.model]);
     }
+
+    // Free the model's memory (on the GPU, too)
+    static async unload() {
+        const model = await this.model;
+        this.tokenizer = this.processor = this.model = null;
+        languageTokens = null;
+        await model.dispose();
+    }
 }
 
-let processing = false;
-async function generate({ audio, language }) {
-    if (processing) return;
-    processing = true;
+// Microphone audio streamed in by the capture worklet. It holds the current
+// utterance plus some headroom in case inference falls behind.
+const audioBuffer = new RingBuffer(2 * MAX_SAMPLES);
+let capturing = false;
+let language = null;
+// Bumped on every (re)start so in-flight work for the old session is dropped
+let session = 0;
+
+// Positions (absolute sample indices into `audioBuffer`) of the start of the
+// current utterance, of how far the VAD got, and of how far we transcribed.
+let segmentStart = 0;
+let analysed = 0;
+let transcribed = 0;
+
+// Wall-clock time (ms) of the first sample in the buffer, give or take a
+// chunk, to turn word timestamps into times listeners can compare with
+let captureStart = 0;
+
+// Transcription in progress, if any
+let inference = null;
+
+// Language detected for the current utterance, as `{ language, confidence }`
+let detected = null;
+
+// Voice activity detection
+let vad = null;
+let vadPromise = null;
+const segmenter = new SpeechSegmenter();
+
+function loadVad(progress_callback) {
+    vadPromise ??= SileroVad.create(progress_callback)
+        .catch((error) => {
+            console.warn('Silero VAD unavailable, using energy-based detection:', error);
+            return new EnergyVad();
+        })
+        .then((detector) => {
+            vad = detector;
+            self.postMessage({ status: 'vad', vad: vad.constructor.kind });
+        });
+    return vadPromise;
+}
+
+function startCapture(data) {
+    language = data.language;
+    captureStart = Date.now();
+    audioBuffer.clear();
+    segmentStart = analysed = transcribed = 0;
+    detected = null;
+    vad?.reset();
+    segmenter.reset();
+    capturing = true;
+    session++;
+}
 
-    // Tell the main thread we are starting
-    self.postMessage({ status: 'start' });
+// Whisper's language tokens ('<|fr|>' etc.) as `{ id, language }`
+let languageTokens = null;
 
+// Glossary terms (see `glossary.js`), given to Whisper as if they were said
+// just before so it spells them the same way
+let prompt = '';
+
+// Tokens Whisper starts decoding from: the prompt after <|startofprev|>,
+// then <|startoftranscript|>, the language and task (multilingual models
+// only) and <|notimestamps|>.
+function initTokens(tokenizer, language, englishOnly) {
+    const vocab = tokenizer.model.tokens_to_ids;
+    const ids = [];
+    if (prompt) {
+        const promptIds = tokenizer.encode(` ${prompt}`, { add_special_tokens: false });
+        ids.push(vocab.get('<|startofprev|>'), ...promptIds.slice(0, MAX_PROMPT_TOKENS));
+    }
+    ids.push(vocab.get('<|startoftranscript|>'));
+    if (!englishOnly) {
+        const languageId = vocab.get(`<|${language}|>`);
+        if (languageId === undefined) {
+            throw new Error(`Language not supported: ${language}`);
+        }
+        ids.push(languageId, vocab.get('<|transcribe|>'));
+    }
+    ids.push(vocab.get('<|notimestamps|>'));
+    return ids;
+}
+
+// Whisper predicts the language as the first token after
+// <|startoftranscript|>. Returns the most likely one and its probability
+// among all languages.
+async function detectLanguage(inputs) {
+    const [tokenizer, , model] = await AutomaticSpeechRecognitionPipeline.getInstance();
+    const vocab = tokenizer.model.tokens_to_ids;
+    languageTokens ??= [...vocab]
+        .filter(([token]) => /^<\|[a-z]{2,3}\|>$/.test(token))
+        .map(([token, id]) => ({ id, language: token.slice(2, -2) }));
+
+    const { logits } = await model({
+        ...inputs,
+        decoder_input_ids: new Tensor(
+            'int64', [BigInt(vocab.get('<|startoftranscript|>'))], [1, 1],
+        ),
+    });
+
+    // Softmax over the language tokens only
+    const scores = languageTokens.map(({ id }) => logits.data[id]);
+    const max = Math.max(...scores);
+    const weights = scores.map((score) => Math.exp(score - max));
+    const total = weights.reduce((a, b) => a + b, 0);
+    const best = weights.indexOf(Math.max(...weights));
+    return {
+        language: languageTokens[best].language,
+        confidence: weights[best] / total,
+    };
+}
+
+async function transcribe(audio, language) {
     // Retrieve the text-generation pipeline.
     const [tokenizer, processor, model] = await AutomaticSpeechRecognitionPipeline.getInstance();
+    const { settings } = AutomaticSpeechRecognitionPipeline;
 
     let startTime;
     let numTokens = 0;
@@ -107,43 +229,255 @@ async function generate({ audio, language }) {
     });
 
     const inputs = await processor(audio);
+    const { englishOnly } = describeModel(settings);
 
+    // Detected once per utterance, as soon as there is enough audio to go by
+    let confidence = null;
+    if (englishOnly) {
+        // English-only models don't take a language
+        language = 'en';
+    } else if (language === AUTO_LANGUAGE) {
+        const result = detected ?? await detectLanguage(inputs);
+        if (audio.length >= MIN_DETECTION_SAMPLES) detected = result;
+        ({ language, confidence } = result);
+    }
+
+    if (settings.word_timestamps) {
+        // The pipeline aligns the tokens with the audio through the
+        // cross-attention weights and groups them into words. It can't take
+        // a prompt, so the glossary doesn't help recognition here.
+        const transcriber = new TranscriptionPipeline({
+            task: 'automatic-speech-recognition',
+            model,
+            tokenizer,
+            processor,
+        });
+        const { text, chunks } = await transcriber(audio, {
+            return_timestamps: 'word',
+            max_new_tokens: settings.max_new_tokens,
+            ...(!englishOnly && { language }),
+            streamer,
+        });
+        return {
+            output: [text],
+            // In seconds from the start of `audio`
+            words: chunks.map(({ text, timestamp: [start, end] }) => ({
+                text,
+                start,
+                end: end ?? start,
+            })),
+            language,
+            confidence,
+        };
+    }
+
+    const decoder_input_ids = initTokens(tokenizer, language, englishOnly);
     const outputs = await model.generate({
         ...inputs,
-        max_new_tokens: MAX_NEW_TOKENS,
-        language,
+        decoder_input_ids,
+        max_new_tokens: settings.max_new_tokens,
         streamer,
     });
 
-    const outputText = tokenizer.batch_decode(outputs, { skip_special_tokens: true });
+    // The outputs start with the prompt, which isn't all special tokens
+    const generated = outputs.tolist().map((ids) => ids.slice(decoder_input_ids.length));
+    return {
+        output: tokenizer.batch_decode(generated, { skip_special_tokens: true }),
+        language,
+        confidence,
+    };
+}
+
+// Transcribe a whole recording (16 kHz mono) with timestamps. Posts
+// `file-progress` after each window and `file-complete` at the end.
+async function transcribeFile({ audio, language }) {
+    const [tokenizer, processor, model] = await AutomaticSpeechRecognitionPipeline.getInstance();
+    const { settings } = AutomaticSpeechRecognitionPipeline;
+    const { englishOnly } = describeModel(settings);
+
+    // Detected once, from the start of the recording
+    let confidence = null;
+    if (englishOnly) {
+        language = 'en';
+    } else if (language === AUTO_LANGUAGE) {
+        const inputs = await processor(audio.subarray(0, MAX_SAMPLES));
+        ({ language, confidence } = await detectLanguage(inputs));
+    }
+
+    // Same windowing as the pipeline, to report progress
+    const window = FILE_CHUNK_SECONDS * WHISPER_SAMPLING_RATE;
+    const jump = window - 2 * FILE_STRIDE_SECONDS * WHISPER_SAMPLING_RATE;
+    const total = audio.length <= window ? 1 : Math.ceil((audio.length - window) / jump) + 1;
+    let done = 0;
+    const streamer = {
+        put() {},
+        end() {
+            self.postMessage({ status: 'file-progress', done: Math.min(++done, total), total });
+        },
+    };
+
+    const transcriber = new TranscriptionPipeline({
+        task: 'automatic-speech-recognition',
+        model,
+        tokenizer,
+        processor,
+    });
+    const { chunks } = await transcriber(audio, {
+        chunk_length_s: FILE_CHUNK_SECONDS,
+        stride_length_s: FILE_STRIDE_SECONDS,
+        return_timestamps: true,
+        ...(!englishOnly && { language, task: 'transcribe' }),
+        streamer,
+    });
 
-    // Send the output back to the main thread
     self.postMessage({
-        status: 'complete',
-        output: outputText,
+        status: 'file-complete',
+        // `timestamp` is [start, end] in seconds; the last end can be null
+        chunks,
+        duration: audio.length / WHISPER_SAMPLING_RATE,
+        language,
+        confidence,
     });
+}
+
+let processing = false;
+async function step() {
+    if (processing || !capturing) return;
+    processing = true;
+
+    try {
+        await transcribeNext(session);
+    } catch (error) {
+        const message = createErrorMessage(error);
+        self.postMessage(message);
+        if (message.fatal || message.code === ERROR_CODES.UNSUPPORTED_LANGUAGE) {
+            // Nothing more to do until we're restarted (or get another language)
+            capturing = false;
+        } else {
+            // Skip the audio that failed instead of failing on it forever
+            segmentStart = transcribed = analysed;
+            segmenter.reset();
+            detected = null;
+        }
+    } finally {
+        inference = null;
+    }
+
+    restep();
+}
+
+// Run the VAD over new audio and transcribe the current utterance if needed
+async function transcribeNext(current) {
+    vad ??= new EnergyVad();
+
+    // If inference fell behind, the oldest audio has been overwritten
+    segmentStart = Math.max(segmentStart, audioBuffer.start);
+    analysed = Math.max(analysed, audioBuffer.start);
+
+    // Run the VAD over new audio, stopping at the end of an utterance
+    let ended = false;
+    while (!ended && analysed + VAD_FRAME_SIZE <= audioBuffer.end) {
+        const frame = audioBuffer.read(analysed, analysed + VAD_FRAME_SIZE);
+        const probability = await vad.process(frame);
+        ended = segmenter.push(probability, analysed) === 'end';
+        analysed += VAD_FRAME_SIZE;
+    }
+    if (current !== session) return;
+
+    if (segmenter.speechStart === null) {
+        // Nobody is talking: skip inference and drop the silence, keeping a
+        // little lead-in for the next utterance.
+        segmentStart = Math.max(segmentStart, analysed - SPEECH_PAD_SAMPLES);
+    } else {
+        const start = Math.max(segmentStart, segmenter.speechStart - SPEECH_PAD_SAMPLES);
+        const end = Math.min(
+            ended ? segmenter.speechEnd + SPEECH_PAD_SAMPLES : analysed,
+            start + MAX_SAMPLES,
+        );
+
+        // Finalize at a pause, or when the utterance fills Whisper's window
+        const isFinal = ended || end - start >= MAX_SAMPLES;
+
+        if (isFinal || end > transcribed) {
+            // Tell the main thread we are starting
+            self.postMessage({ status: 'start' });
+
+            inference = transcribe(audioBuffer.read(start, end), language);
+            const result = await inference;
+            if (current !== session) return;
+            transcribed = end;
+
+            if (ended) {
+                segmentStart = segmenter.speechEnd;
+                segmenter.reset();
+            } else if (isFinal) {
+                // Still talking: carry on with a new segment from here
+                segmentStart = segmenter.speechStart = end;
+            }
+            if (isFinal) detected = null;
+
+            // Send the output back to the main thread. `confidence` is only
+            // set for detected languages, `words` only with word timestamps.
+            self.postMessage({
+                status: 'complete',
+                output: result.output,
+                language: result.language,
+                confidence: result.confidence,
+                words: result.words?.map(({ text, start: wordStart, end: wordEnd }) => ({
+                    text,
+                    start: sampleTime(start + wordStart * WHISPER_SAMPLING_RATE),
+                    end: sampleTime(start + wordEnd * WHISPER_SAMPLING_RATE),
+                })),
+                isFinal,
+            });
+        }
+    }
+}
+
+// Wall-clock time (ms since epoch) of a sample
+function sampleTime(index) {
+    return Math.round(captureStart + (index / WHISPER_SAMPLING_RATE) * 1000);
+}
+
+function restep() {
     processing = false;
+
+    // More audio may have arrived while we were busy
+    if (capturing && audioBuffer.end - analysed >= VAD_FRAME_SIZE) step();
 }
 
-async function load() {
+async function load(settings) {
+    // Stop transcribing while the model is (re)loaded, letting the current
+    // transcription finish first. The main thread starts us again once ready.
+    capturing = false;
+    session++;
+    await inference?.catch(() => {});
+
     self.postMessage({
         status: 'loading',
         data: 'Loading model...'
     });
 
+    // We also add a progress callback to the pipeline so that we can
+    // track model loading.
+    const progress_callback = (x) => self.postMessage(x);
+
     // Load the pipeline and save it for future use.
-    const [tokenizer, processor, model] = await AutomaticSpeechRecognitionPipeline.getInstance(x => {
-        // We also add a progress callback to the pipeline so that we can
-        // track model loading.
-        self.postMessage(x);
-    });
+    const [, , model] = await AutomaticSpeechRecognitionPipeline.getInstance(progress_callback, settings);
+    await loadVad(progress_callback);
+
+    const { device } = AutomaticSpeechRecognitionPipeline;
+    self.postMessage({ status: 'device', device });
 
     self.postMessage({
         status: 'loading',
-        data: 'Compiling shaders and warming up model...'
+        data: device === 'webgpu'
+            ? 'Compiling shaders and warming up model...'
+            : 'Warming up model...'
     });
 
-    // Run model with dummy input to compile shaders
+    // Run model with dummy input to compile shaders (WebGPU) or
+    // initialise the WASM runtime
     await model.generate({
         input_features: full([1, 80, 3000], 0.0),
         max_new_tokens: 1,
@@ -156,11 +490,40 @@ self.addEventListener('message', async (e) => {
 
     switch (type) {
         case 'load':
-            load();
+            // `data` holds the model settings, if any
+            load(data).catch((error) => {
+                self.postMessage(createErrorMessage(error, { loading: true }));
+            });
+            break;
+
+        case 'audio-port':
+            // PCM chunks from the capture worklet
+            data.onmessage = (e) => {
+                if (!capturing) return;
+                audioBuffer.push(e.data);
+                step();
+            };
+            break;
+
+        case 'start':
+            // (Re)start transcribing, e.g. after a reset or a language change
+            startCapture(data);
+            step();
+            break;
+
+        case 'stop':
+            capturing = false;
             break;
 
-        case 'generate':
-            generate(data);
+        case 'glossary':
+            // `data` holds the glossary entries. Used from the next pass on.
+            prompt = glossaryPrompt(data);
+            break;
+
+        case 'transcribe-file':
+            transcribeFile(data).catch((error) => {
+                self.postMessage(createErrorMessage(error, { file: true }));
+            });
             break;
     }
 });
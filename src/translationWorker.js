@@ -1,6 +1,10 @@
 
 import { pipeline } from '@xenova/transformers';
 
+import { TranslationCache } from './utils/translationCache';
+import { protectTerms } from './utils/glossary';
+import { createErrorMessage } from './utils/workerErrors';
+
 /**
  * This class uses the Singleton pattern to ensure that only one instance of the
  * pipeline is loaded. This is because loading the pipeline is an expensive
@@ -10,6 +14,7 @@ class MyTranslationPipeline {
     static task = 'translation';
     static model = 'Xenova/nllb-200-distilled-600M';
     static instance = null;
+    static loaded = false;
 
     static async getInstance(progress_callback = null) {
         if (this.instance === null) {
@@ -20,8 +25,42 @@ class MyTranslationPipeline {
     }
 }
 
-// Listen for messages from the main thread
+const cache = new TranslationCache();
+
+// Listen for messages from the main thread. Failed jobs are reported as
+// `error` messages with the job's `id`.
 self.addEventListener('message', async (event) => {
+    try {
+        await translate(event.data);
+    } catch (error) {
+        const loading = !MyTranslationPipeline.loaded;
+        self.postMessage(createErrorMessage(error, { loading, id: event.data.id }));
+    }
+});
+
+// `glossary` holds the session's glossary entries (see `glossary.js`), if any
+async function translate({ id, text, src_lang, tgt_lang, glossary = [] }) {
+    // Glossary terms are swapped for placeholders the model leaves alone.
+    // The cache holds translations with the placeholders in, so a changed
+    // target for a term never returns a stale translation.
+    const terms = protectTerms(text, glossary, tgt_lang);
+
+    // Repeated phrases and previously seen language pairs cost nothing
+    const key = TranslationCache.key({
+        text: terms.text, src_lang, tgt_lang, model: MyTranslationPipeline.model,
+    });
+    const cached = await cache.get(key);
+    if (cached !== undefined) {
+        self.postMessage({
+            status: 'complete',
+            id,
+            output: [{ translation_text: terms.restore(cached) }],
+            cached: true,
+            stats: cache.stats,
+        });
+        return;
+    }
+
     // Retrieve the translation pipeline. When called for the first time,
     // this will load the pipeline and save it for future use.
     let translator = await MyTranslationPipeline.getInstance(x => {
@@ -29,24 +68,34 @@ self.addEventListener('message', async (event) => {
         // track model loading.
         self.postMessage(x);
     });
+    MyTranslationPipeline.loaded = true;
 
     // Actually perform the translation
-    let output = await translator(event.data.text, {
-        tgt_lang: event.data.tgt_lang,
-        src_lang: event.data.src_lang,
+    let output = await translator(terms.text, {
+        tgt_lang,
+        src_lang,
 
         // Allows for partial output
         callback_function: x => {
             self.postMessage({
                 status: 'update',
-                output: translator.tokenizer.decode(x[0].output_token_ids, { skip_special_tokens: true })
+                id,
+                output: terms.restore(
+                    translator.tokenizer.decode(x[0].output_token_ids, { skip_special_tokens: true })
+                ),
             });
         }
     });
 
+    cache.set(key, output[0].translation_text);
+
     // Send the output back to the main thread
     self.postMessage({
         status: 'complete',
-        output: output,
+        id,
+        output: output.map(({ translation_text }) => ({
+            translation_text: terms.restore(translation_text),
+        })),
+        stats: cache.stats,
     });
-});
+}
@@ -0,0 +1,21 @@
+// Audio constants and helpers shared by the broadcaster and the
+// transcription worker.
+export const WHISPER_SAMPLING_RATE = 16_000;
+export const MAX_AUDIO_LENGTH = 30; // seconds
+export const MAX_SAMPLES = WHISPER_SAMPLING_RATE * MAX_AUDIO_LENGTH;
+
+// Decode an audio or video file to 16 kHz mono, as Whisper expects. The
+// browser resamples while decoding; channels are averaged.
+export async function decodeAudioFile(file) {
+  const context = new OfflineAudioContext(1, 1, WHISPER_SAMPLING_RATE);
+  const buffer = await context.decodeAudioData(await file.arrayBuffer());
+
+  const audio = new Float32Array(buffer.length);
+  for (let channel = 0; channel < buffer.numberOfChannels; ++channel) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < data.length; ++i) {
+      audio[i] += data[i] / buffer.numberOfChannels;
+    }
+  }
+  return audio;
+}
@@ -1,16 +1,284 @@
-let lastBroadcast = '';
+import {
+  GLOSSARY_EVENT,
+  SYNC_RESPONSE_EVENT,
+  TRANSCRIPT_EVENT,
+  TRANSLATION_EVENT,
+  createGlossary,
+  createSyncResponse,
+  createTranscript,
+  createTranslation,
+  validateTranscript,
+} from './protocol';
+import { randomId } from './utils';
 
-export default function broadcast({ message, language, channel }) {
-  const segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
-  const iterator = segmenter.segment(message);
-  const segments = Array.from(iterator);
-  const lastSentence = segments[segments.length - 1].segment;
-  if (lastSentence === lastBroadcast) return;
-  console.log('broadcast', { message: lastSentence, language });
-  channel.send({
-    type: 'broadcast',
-    event: 'transcript',
-    payload: { message: lastSentence, language },
+// Finalized segments kept for exporting the session
+const MAX_SEGMENTS = 5000;
+
+// Late joiners get at most this much of the session replayed
+const SYNC_WINDOW = 10 * 60_000; // ms
+const MAX_SYNC_SEGMENTS = 300;
+// Segments per sync response, to stay well under message size limits
+const SYNC_CHUNK_SIZE = 25;
+// Sync requests arriving within this long are answered together
+const SYNC_DELAY = 500; // ms
+
+// Deal out `words` (see `protocol.js`) to the sentences they make up
+function splitWords(sentences, words) {
+  const length = (text) => text.replace(/\s+/g, '').length;
+  let next = 0;
+  return sentences.map((sentence) => {
+    const start = next;
+    let remaining = length(sentence);
+    while (remaining > 0 && next < words.length) {
+      remaining -= length(words[next++].text);
+    }
+    return words.slice(start, next);
   });
-  lastBroadcast = lastSentence;
+}
+
+function splitSentences(message, language) {
+  const segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
+  return Array.from(segmenter.segment(message), ({ segment }) => segment.trim())
+    .filter(Boolean);
+}
+
+// Turns the stream of Whisper outputs for the rolling audio window into
+// protocol messages (see `protocol.js`). The last sentence of the window is
+// the live segment: it is re-sent as a new revision whenever it changes, and
+// finalized once the window grows a new sentence after it.
+//
+// `getTranslatedTo()` lists the languages this broadcaster translates into
+// for its listeners; `onSend(segment)` is called for every revision sent so
+// the caller can translate it and hand the result to `publishTranslation`.
+// `getSpeaker()` names the speaker of segments started from then on, and
+// `getGlossary()` returns the glossary entries shared by `publishGlossary`.
+export default function createBroadcaster({
+  getChannel,
+  getTranslatedTo = () => [],
+  getSpeaker = () => '',
+  getGlossary = () => [],
+  onSend = () => {},
+}) {
+  const sessionId = randomId();
+  let seq = 0;
+  let segmentCount = 0;
+  let current = null;
+  let lastSentenceCount = 0;
+  const segments = [];
+  // Sync requests waiting to be answered: requestId -> since
+  const syncRequests = new Map();
+  let syncTimer = null;
+
+  function send(segment) {
+    const translatedTo = getTranslatedTo();
+    const payload = createTranscript({
+      sessionId,
+      seq: seq++,
+      segmentId: segment.segmentId,
+      revision: segment.revision,
+      isFinal: segment.isFinal,
+      start: segment.start,
+      end: segment.end,
+      text: segment.text,
+      language: segment.language,
+      ...(segment.languageConfidence != null && {
+        languageConfidence: segment.languageConfidence,
+      }),
+      ...(segment.words && { words: segment.words }),
+      ...(segment.speaker && { speaker: segment.speaker }),
+      ...(translatedTo.length > 0 && { translatedTo }),
+    });
+
+    const error = validateTranscript(payload);
+    if (error) {
+      console.error('Refusing to broadcast invalid transcript:', error);
+      return;
+    }
+
+    getChannel()?.send({
+      type: 'broadcast',
+      event: TRANSCRIPT_EVENT,
+      payload,
+    });
+    onSend(segment);
+  }
+
+  // Send a translation of one revision of a segment to the listeners
+  function publishTranslation({ segmentId, revision, isFinal, language, text }) {
+    getChannel()?.send({
+      type: 'broadcast',
+      event: TRANSLATION_EVENT,
+      payload: createTranslation({
+        sessionId,
+        segmentId,
+        revision,
+        isFinal,
+        language,
+        text,
+      }),
+    });
+
+    // Keep it with the segment for exporting
+    const segment = segments.findLast((s) => s.segmentId === segmentId) ??
+      (current?.segmentId === segmentId ? current : null);
+    if (segment) {
+      segment.translations = { ...segment.translations, [language]: text };
+    }
+  }
+
+  // Send the glossary (see `glossary.js`) to the listeners, e.g. after it
+  // was edited
+  function publishGlossary() {
+    getChannel()?.send({
+      type: 'broadcast',
+      event: GLOSSARY_EVENT,
+      payload: createGlossary({ sessionId, entries: getGlossary() }),
+    });
+  }
+
+  function startSegment(text, language, languageConfidence, words) {
+    const now = Date.now();
+    current = {
+      segmentId: `${sessionId}-${segmentCount++}`,
+      revision: 0,
+      isFinal: false,
+      start: now,
+      end: now,
+      text,
+      language,
+      languageConfidence,
+      words,
+      speaker: getSpeaker() || undefined,
+      translations: {},
+    };
+    send(current);
+  }
+
+  function revise(text, languageConfidence, words) {
+    if (text === current.text) return;
+    current = {
+      ...current,
+      revision: current.revision + 1,
+      end: Date.now(),
+      text,
+      languageConfidence,
+      words,
+    };
+    send(current);
+  }
+
+  // Mark the live segment as complete, optionally with corrected text (and
+  // its words).
+  function finalize(text = current?.text, words = current?.words) {
+    if (!current) return;
+    if (text) {
+      const segment = {
+        ...current,
+        revision: current.revision + 1,
+        isFinal: true,
+        end: Date.now(),
+        text,
+        words,
+      };
+      // Stored first so translations of the final revision land on it
+      segments.push(segment);
+      if (segments.length > MAX_SEGMENTS) segments.shift();
+      send(segment);
+    }
+    current = null;
+    lastSentenceCount = 0;
+  }
+
+  // `languageConfidence` is given when `language` was detected, `words`
+  // with word timestamps
+  function update({ message, language, languageConfidence = null, words }) {
+    const sentences = splitSentences(message, language);
+    if (sentences.length === 0) return;
+    const lastSentence = sentences[sentences.length - 1];
+    const sentenceWords = words ? splitWords(sentences, words) : [];
+    const lastWords = sentenceWords[sentences.length - 1];
+
+    if (current && current.language !== language) {
+      finalize();
+    }
+
+    if (!current) {
+      startSegment(lastSentence, language, languageConfidence, lastWords);
+    } else if (sentences.length > lastSentenceCount) {
+      // New sentences started: the live one and any that were completed in
+      // the same pass are final now, in order.
+      const first = Math.max(0, lastSentenceCount - 1);
+      finalize(sentences[first], sentenceWords[first]);
+      for (let i = first + 1; i < sentences.length - 1; i++) {
+        startSegment(sentences[i], language, languageConfidence, sentenceWords[i]);
+        finalize(sentences[i], sentenceWords[i]);
+      }
+      startSegment(lastSentence, language, languageConfidence, lastWords);
+    } else {
+      revise(lastSentence, languageConfidence, lastWords);
+    }
+    lastSentenceCount = sentences.length;
+  }
+
+  // Finalized segments followed by the live one, oldest first
+  function getSegments() {
+    return current ? [...segments, current] : [...segments];
+  }
+
+  // Answer a `sync-request` (see `protocol.js`) from a late joiner. Words are
+  // left out: they're only useful live and make responses much bigger.
+  function handleSyncRequest({ requestId, since }) {
+    syncRequests.set(requestId, Math.max(since, Date.now() - SYNC_WINDOW));
+    syncTimer ??= setTimeout(respondToSync, SYNC_DELAY);
+  }
+
+  function respondToSync() {
+    const requestIds = [...syncRequests.keys()];
+    const since = Math.min(...syncRequests.values());
+    syncRequests.clear();
+    syncTimer = null;
+
+    const replayed = getSegments()
+      .filter((segment) => segment.end >= since)
+      .slice(-MAX_SYNC_SEGMENTS)
+      .map((segment) => ({
+        segmentId: segment.segmentId,
+        revision: segment.revision,
+        isFinal: segment.isFinal,
+        start: segment.start,
+        end: segment.end,
+        text: segment.text,
+        language: segment.language,
+        ...(segment.languageConfidence != null && {
+          languageConfidence: segment.languageConfidence,
+        }),
+        ...(segment.speaker && { speaker: segment.speaker }),
+        translatedTo: Object.keys(segment.translations),
+        translations: segment.translations,
+      }));
+    // Late joiners need the glossary before translating what they missed
+    if (getGlossary().length > 0) publishGlossary();
+    // An empty response still tells the receiver this broadcaster is here
+    for (let i = 0; i === 0 || i < replayed.length; i += SYNC_CHUNK_SIZE) {
+      getChannel()?.send({
+        type: 'broadcast',
+        event: SYNC_RESPONSE_EVENT,
+        payload: createSyncResponse({
+          requestIds,
+          sessionId,
+          segments: replayed.slice(i, i + SYNC_CHUNK_SIZE),
+        }),
+      });
+    }
+  }
+
+  return {
+    sessionId,
+    update,
+    finalize,
+    getSegments,
+    publishTranslation,
+    publishGlossary,
+    handleSyncRequest,
+  };
 }
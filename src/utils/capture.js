@@ -0,0 +1,45 @@
+import { WHISPER_SAMPLING_RATE } from './audio';
+
+const CHUNK_SIZE = WHISPER_SAMPLING_RATE / 10; // 100 ms of audio per message
+
+function createSource(stream, sampleRate) {
+  const audioContext = new AudioContext(sampleRate ? { sampleRate } : undefined);
+  try {
+    return { audioContext, source: audioContext.createMediaStreamSource(stream) };
+  } catch (error) {
+    // Firefox can't connect a microphone to a context running at another rate
+    audioContext.close();
+    throw error;
+  }
+}
+
+// Streams the audio of `stream` as 16 kHz mono Float32 PCM into `port`, via
+// the capture worklet. Returns a function that stops the capture.
+export async function createPcmCapture(stream, port) {
+  let audioContext, source;
+  try {
+    // Let the browser resample when it can...
+    ({ audioContext, source } = createSource(stream, WHISPER_SAMPLING_RATE));
+  } catch {
+    // ...and resample in the worklet otherwise
+    ({ audioContext, source } = createSource(stream));
+  }
+
+  await audioContext.audioWorklet.addModule(
+    new URL('../worklets/pcmCaptureProcessor.js', import.meta.url)
+  );
+  const node = new AudioWorkletNode(audioContext, 'pcm-capture', {
+    numberOfOutputs: 0,
+    processorOptions: {
+      targetSampleRate: WHISPER_SAMPLING_RATE,
+      chunkSize: CHUNK_SIZE,
+    },
+  });
+  node.port.postMessage({ type: 'port', port }, [port]);
+  source.connect(node);
+
+  return () => {
+    source.disconnect();
+    audioContext.close();
+  };
+}
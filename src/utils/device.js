@@ -0,0 +1,38 @@
+// Inference backends for Whisper, from fastest to most widely supported.
+// The WASM backend runs on the CPU, so it uses a smaller checkpoint with
+// 8-bit weights to stay close to real time. These are the defaults; the
+// broadcaster can pick another model (see `modelSettings.js`).
+export const DEVICE_CONFIGS = {
+  webgpu: {
+    label: 'WebGPU',
+    model_name: 'whisper-base',
+    dtype: {
+      encoder_model: 'fp32', // 'fp16' works too
+      decoder_model_merged: 'q4', // or 'fp32' ('fp16' is broken)
+    },
+    speed: 'Hardware-accelerated: captions follow your speech in real time.',
+  },
+  wasm: {
+    label: 'CPU (WASM)',
+    model_name: 'whisper-tiny',
+    dtype: {
+      encoder_model: 'q8',
+      decoder_model_merged: 'q8',
+    },
+    speed:
+      'No WebGPU found: running on the CPU. Expect captions to lag a few seconds behind and slightly lower accuracy.',
+  },
+};
+
+// Picks the best backend available in the current context (window or worker).
+// `navigator.gpu` can exist without a usable adapter (e.g. blocklisted drivers),
+// so we only trust WebGPU once an adapter has actually been handed out.
+export async function detectDevice() {
+  if (!navigator.gpu) return 'wasm';
+  try {
+    const adapter = await navigator.gpu.requestAdapter();
+    return adapter ? 'webgpu' : 'wasm';
+  } catch {
+    return 'wasm';
+  }
+}
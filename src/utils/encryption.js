@@ -0,0 +1,155 @@
+// Optional end-to-end encryption of channel payloads. The broadcaster
+// generates an AES-GCM key and puts it in the receiver link's fragment
+// (`#/receiver/<id>?key=...`), which browsers never send to a server, so
+// neither the relay nor someone who guesses the channel ID can read or forge
+// messages. On the wire, an encrypted payload looks like
+//
+//   { iv, ciphertext }   (both base64url)
+//
+// The topic and event name are authenticated with it, so a message can't be
+// replayed on another channel or passed off as another event. Presence
+// (how many listen, in which languages) is not encrypted.
+
+const ALGORITHM = { name: 'AES-GCM', length: 256 };
+const IV_BYTES = 12;
+const KEY_BYTES = ALGORITHM.length / 8;
+
+// WebCrypto is only available in secure contexts (HTTPS or localhost)
+export const encryptionSupported = Boolean(globalThis.crypto?.subtle);
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(string) {
+  const binary = atob(string.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+export function generateKey() {
+  return crypto.subtle.generateKey(ALGORITHM, true, ['encrypt', 'decrypt']);
+}
+
+// The key as it appears in links
+export async function exportKey(key) {
+  return toBase64Url(await crypto.subtle.exportKey('raw', key));
+}
+
+// Rejects if `string` isn't a key made by `exportKey`
+export async function importKey(string) {
+  const raw = fromBase64Url(string);
+  if (raw.length !== KEY_BYTES) {
+    throw new Error(`Expected a ${KEY_BYTES}-byte key, got ${raw.length} bytes`);
+  }
+  return crypto.subtle.importKey('raw', raw, ALGORITHM, false, ['encrypt', 'decrypt']);
+}
+
+export function isEncryptedPayload(payload) {
+  return typeof payload?.iv === 'string' && typeof payload?.ciphertext === 'string';
+}
+
+function additionalData(topic, event) {
+  return new TextEncoder().encode(`${topic}\n${event}`);
+}
+
+async function encrypt(key, topic, event, payload) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: ALGORITHM.name, iv, additionalData: additionalData(topic, event) },
+    key,
+    new TextEncoder().encode(JSON.stringify(payload))
+  );
+  return { iv: toBase64Url(iv), ciphertext: toBase64Url(ciphertext) };
+}
+
+// Throws if the payload isn't encrypted, was encrypted with another key or
+// for another topic or event, or was tampered with
+async function decrypt(key, topic, event, payload) {
+  if (!isEncryptedPayload(payload)) throw new Error('Payload is not encrypted');
+  const plaintext = await crypto.subtle.decrypt(
+    {
+      name: ALGORITHM.name,
+      iv: fromBase64Url(payload.iv),
+      additionalData: additionalData(topic, event),
+    },
+    key,
+    fromBase64Url(payload.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// Wraps a transport channel for `topic` so broadcast payloads are encrypted
+// on `send` and decrypted before listeners see them, in the order they were
+// sent and received. Messages that can't be decrypted are dropped and
+// passed to `onReject(error, message)`. `key` may be a promise, so the
+// channel can be used while the key is being imported.
+class EncryptedChannel {
+  constructor(channel, topic, key, onReject) {
+    this.channel = channel;
+    this.topic = topic;
+    this.key = Promise.resolve(key);
+    this.onReject = onReject;
+    this.sending = Promise.resolve();
+    this.receiving = Promise.resolve();
+  }
+
+  on(type, filter, callback) {
+    if (type !== 'broadcast') {
+      this.channel.on(type, filter, callback);
+      return this;
+    }
+    this.channel.on(type, filter, (message) => {
+      this.receiving = this.receiving
+        .then(async () => {
+          let payload;
+          try {
+            payload = await decrypt(await this.key, this.topic, message.event, message.payload);
+          } catch (error) {
+            this.onReject(error, message);
+            return;
+          }
+          callback({ ...message, payload });
+        })
+        // A throwing listener mustn't stop the messages after it
+        .catch((error) => console.error('Error handling decrypted message:', error));
+    });
+    return this;
+  }
+
+  subscribe(callback) {
+    this.channel.subscribe(callback);
+    return this;
+  }
+
+  send({ type = 'broadcast', event, payload, ...rest }) {
+    const sent = this.sending.then(async () => {
+      const encrypted = await encrypt(await this.key, this.topic, event, payload);
+      return this.channel.send({ type, event, payload: encrypted, ...rest });
+    });
+    // A failed message mustn't hold up the ones after it
+    this.sending = sent.catch(() => {});
+    return sent;
+  }
+
+  track(state) {
+    return this.channel.track(state);
+  }
+
+  untrack() {
+    return this.channel.untrack();
+  }
+
+  presenceState() {
+    return this.channel.presenceState();
+  }
+
+  unsubscribe() {
+    return this.channel.unsubscribe();
+  }
+}
+
+export function createEncryptedChannel(channel, topic, key, { onReject = () => {} } = {}) {
+  return new EncryptedChannel(channel, topic, key, onReject);
+}
@@ -0,0 +1,194 @@
+import { formatOffset, formatTime } from './utils';
+
+// Serialise session segments to caption and note formats.
+//
+// Exporters take a list of segments shaped like
+//
+//   { segmentId, start, end, text, language, translations: { [lang]: text } }
+//
+// with `start`/`end` in ms since epoch (see `origin`), and an options object:
+//
+//   content: 'source' | 'translation' | 'both' (captions and text only)
+//   translationLanguage: key into `translations` when content isn't 'source'
+//   origin: time that counts as 0:00, e.g. 0 for segments of a recording
+//     whose `start`/`end` are offsets into it. Defaults to the first segment
+//     for captions, and to wall-clock times for text and JSON. With an
+//     origin, JSON has `startMs`/`endMs` offsets instead of ISO dates.
+//
+// Segments may also carry `words` (see `protocol.js`), which make caption
+// timings word-accurate and let long segments be split between words, and
+// the name of their `speaker`, which is put in front of their text.
+
+export const EXPORT_FORMATS = {
+  srt: { label: 'SubRip (.srt)', extension: 'srt', mime: 'application/x-subrip' },
+  vtt: { label: 'WebVTT (.vtt)', extension: 'vtt', mime: 'text/vtt' },
+  txt: { label: 'Text (.txt)', extension: 'txt', mime: 'text/plain' },
+  json: { label: 'JSON (.json)', extension: 'json', mime: 'application/json' },
+};
+
+// Cues shorter than this are hard to read, so they are stretched
+const MIN_CUE_DURATION = 1000; // ms
+// Longer cues are split where word timings allow
+const MAX_CUE_CHARS = 84; // two lines of 42
+const MAX_CUE_DURATION = 7000; // ms
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function formatTimestamp(ms, separator) {
+  const hours = Math.floor(ms / 3_600_000);
+  const minutes = Math.floor(ms / 60_000) % 60;
+  const seconds = Math.floor(ms / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function segmentText(segment, { content = 'source', translationLanguage }) {
+  const translation = segment.translations?.[translationLanguage];
+  switch (content) {
+    case 'translation':
+      return translation ?? segment.text;
+    case 'both':
+      return translation ? `${segment.text}\n${translation}` : segment.text;
+    default:
+      return segment.text;
+  }
+}
+
+// Group words into cues that stay within the length limits
+function splitAtWords(words) {
+  const groups = [];
+  let group = [];
+  for (const word of words) {
+    const text = group.map((w) => w.text).join('') + word.text;
+    if (
+      group.length > 0 &&
+      (text.trim().length > MAX_CUE_CHARS || word.end - group[0].start > MAX_CUE_DURATION)
+    ) {
+      groups.push(group);
+      group = [];
+    }
+    group.push(word);
+  }
+  if (group.length > 0) groups.push(group);
+  return groups;
+}
+
+// One or more timed texts for a segment. Translations can't be lined up
+// with the original's words, so they keep the segment's timing.
+function timedTexts(segment, options) {
+  const { speaker } = segment;
+  if (!segment.words?.length || (options.content ?? 'source') !== 'source') {
+    return [{ start: segment.start, end: segment.end, text: segmentText(segment, options), speaker }];
+  }
+  return splitAtWords(segment.words).map((words) => ({
+    start: words[0].start,
+    end: words[words.length - 1].end,
+    text: words.map((word) => word.text).join('').trim(),
+    speaker,
+  }));
+}
+
+// Cue timings relative to the origin, as caption files expect
+function toCues(segments, options) {
+  const origin = options.origin ?? segments[0]?.start ?? 0;
+  return segments
+    .filter((segment) => segment.text.trim())
+    .flatMap((segment) => timedTexts(segment, options))
+    .map(({ start, end, text, speaker }) => {
+      start = Math.max(0, Math.round(start - origin));
+      end = Math.max(Math.round(end - origin), start + MIN_CUE_DURATION);
+      return { start, end, text, speaker };
+    });
+}
+
+function withSpeaker(text, speaker) {
+  return speaker ? `${speaker}: ${text}` : text;
+}
+
+export function toSRT(segments, options = {}) {
+  return toCues(segments, options)
+    .map(({ start, end, text, speaker }, i) =>
+      `${i + 1}\n${formatTimestamp(start, ',')} --> ${formatTimestamp(end, ',')}\n${withSpeaker(text, speaker)}\n`
+    )
+    .join('\n');
+}
+
+// Cue text is markup in WebVTT, where a literal `-->` also ends the cue.
+// Escaping `>` takes care of both.
+function escapeVTT(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function toVTT(segments, options = {}) {
+  const cues = toCues(segments, options).map(({ start, end, text, speaker }) => {
+    // A voice span, which players can style or show per speaker
+    const voice = speaker ? `<v ${speaker.replace(/[<>&]/g, '')}>` : '';
+    return `${formatTimestamp(start, '.')} --> ${formatTimestamp(end, '.')}\n${voice}${escapeVTT(text)}\n`;
+  });
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+export function toTXT(segments, options = {}) {
+  return segments
+    .filter((segment) => segment.text.trim())
+    .map((segment) => {
+      const [first, ...rest] = segmentText(segment, options).split('\n');
+      return [
+        `[${options.origin === undefined
+          ? formatTime(segment.start)
+          : formatOffset(segment.start - options.origin)}] ${withSpeaker(first, segment.speaker)}`,
+        ...rest.map((line) => `    ${line}`),
+      ].join('\n');
+    })
+    .join('\n') + '\n';
+}
+
+export function toJSON(segments, { metadata = {}, origin } = {}) {
+  const timing = ({ start, end }) =>
+    origin === undefined
+      ? { start: new Date(start).toISOString(), end: new Date(end).toISOString() }
+      : { startMs: start - origin, endMs: end - origin };
+  return JSON.stringify(
+    {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      ...metadata,
+      segments: segments.map((segment) => ({
+        id: segment.segmentId,
+        ...timing(segment),
+        language: segment.language,
+        ...(segment.languageConfidence != null && {
+          languageConfidence: segment.languageConfidence,
+        }),
+        ...(segment.speaker && { speaker: segment.speaker }),
+        text: segment.text,
+        ...(segment.words && {
+          words: segment.words.map((word) => ({
+            text: word.text,
+            ...timing(word),
+          })),
+        }),
+        translations: segment.translations ?? {},
+      })),
+    },
+    null,
+    2
+  );
+}
+
+const SERIALISERS = { srt: toSRT, vtt: toVTT, txt: toTXT, json: toJSON };
+
+export function exportSegments(format, segments, options) {
+  return SERIALISERS[format](segments, options);
+}
+
+export function downloadFile(filename, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the browser a moment to start the download before releasing it
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
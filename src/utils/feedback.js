@@ -0,0 +1,73 @@
+// Audience back-channel: listeners send questions and quick reactions to the
+// broadcaster as `feedback` events (see `protocol.js`).
+
+// Quick reactions, by the id sent on the wire
+export const REACTIONS = {
+  repeat: "Didn't catch that",
+  slower: 'Slower please',
+  louder: 'Louder please',
+};
+
+export const MAX_QUESTION_LENGTH = 280;
+
+// Reactions count towards what the broadcaster sees for this long
+export const REACTION_WINDOW = 60_000; // ms
+
+// Each listener may send this many messages per interval. Receivers hold
+// back themselves; the broadcaster drops whatever goes over.
+export const FEEDBACK_LIMIT = 5;
+export const FEEDBACK_INTERVAL = 60_000; // ms
+// Listener IDs are picked by the listeners, so a new one per message gets
+// around the limit above. The broadcaster takes no more than this from
+// everyone together per interval.
+export const FEEDBACK_TOTAL_LIMIT = 60;
+
+// Sliding-window rate limit per key (e.g. listener ID), and optionally for
+// all keys together (`total`)
+export class RateLimiter {
+  constructor({ limit = FEEDBACK_LIMIT, interval = FEEDBACK_INTERVAL, total = Infinity } = {}) {
+    this.limit = limit;
+    this.interval = interval;
+    this.total = total;
+    // key -> times of recent messages
+    this.recent = new Map();
+    // Times of recent messages of all keys
+    this.all = [];
+  }
+
+  // Forget keys that have nothing inside the window any more, so keys used
+  // once don't pile up
+  prune(now) {
+    this.all = this.all.filter((time) => now - time < this.interval);
+    for (const [key, times] of this.recent) {
+      if (now - times[times.length - 1] >= this.interval) this.recent.delete(key);
+    }
+  }
+
+  // Timestamps still inside the window for `key`
+  window(key, now) {
+    const times = (this.recent.get(key) ?? []).filter((time) => now - time < this.interval);
+    if (times.length > 0) {
+      this.recent.set(key, times);
+    } else {
+      this.recent.delete(key);
+    }
+    return times;
+  }
+
+  // Whether `key` may send now. If so, it counts as sent.
+  allow(key, now = Date.now()) {
+    this.prune(now);
+    const times = this.window(key, now);
+    if (times.length >= this.limit || this.all.length >= this.total) return false;
+    this.recent.set(key, [...times, now]);
+    this.all.push(now);
+    return true;
+  }
+
+  // How long until `key` may send again, in ms (0 if it may now)
+  wait(key, now = Date.now()) {
+    const times = this.window(key, now);
+    return times.length < this.limit ? 0 : times[0] + this.interval - now;
+  }
+}
@@ -0,0 +1,111 @@
+// Per-session glossary of product names and other terms that speech
+// recognition and translation get wrong. The broadcaster edits it, it is
+// remembered in local storage and shared with receivers as a `glossary`
+// event (see `protocol.js`). Entries look like
+//
+//   { source: 'Tawi' }
+//   { source: 'dashboard', target: 'tableau de bord', language: 'fra_Latn' }
+//
+// Every `source` is given to Whisper as a prompt, which makes it spell the
+// term as written here. In translations, a term without a `target` is kept
+// as is, and one with a `target` always becomes it: in every language, or
+// only in `language` (a FLORES-200 code) if given.
+
+import { validateGlossaryEntries } from './protocol';
+
+const STORAGE_KEY = 'tawi:glossary';
+
+// Stands in for a term while it is translated. NLLB copies nonsense
+// acronyms like `ZX3Q` through unchanged, but may put spaces into them or
+// change their case.
+const placeholder = (index) => `ZX${index}Q`;
+const PLACEHOLDER_PATTERN = /Z\s*X\s*(\d+)\s*Q/gi;
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function loadGlossary() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!validateGlossaryEntries(saved)) return saved;
+  } catch {
+    // Unreadable: start empty
+  }
+  return [];
+}
+
+export function saveGlossary(entries) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.warn('Glossary is not saved:', error);
+  }
+}
+
+// Entries as typed into the editor, trimmed and without empty fields, blank
+// rows or repeated rules
+export function cleanGlossary(entries) {
+  const seen = new Set();
+  const cleaned = [];
+  for (const entry of entries) {
+    const source = entry.source.trim();
+    const target = entry.target?.trim();
+    const key = JSON.stringify([source.toLowerCase(), entry.language ?? '']);
+    if (!source || seen.has(key)) continue;
+    seen.add(key);
+    cleaned.push({
+      source,
+      ...(target && { target }),
+      ...(entry.language && { language: entry.language }),
+    });
+  }
+  return cleaned;
+}
+
+// The Whisper prompt for `entries`: each term once, in glossary order
+export function glossaryPrompt(entries) {
+  const terms = new Map();
+  for (const { source } of entries) {
+    if (!terms.has(source.toLowerCase())) terms.set(source.toLowerCase(), source);
+  }
+  return [...terms.values()].join(', ');
+}
+
+// Swaps the glossary terms in `text` for placeholders before it is
+// translated into `tgt_lang`. `restore(output)` puts the terms (or their
+// targets) back into the translation. Rules for `tgt_lang` win over the
+// ones for every language, and longer terms over shorter ones they contain.
+export function protectTerms(text, entries, tgt_lang) {
+  const rules = new Map();
+  for (const entry of entries) {
+    if (entry.language && entry.language !== tgt_lang) continue;
+    const key = entry.source.toLowerCase();
+    if (!rules.has(key) || entry.language) rules.set(key, entry);
+  }
+  if (rules.size === 0) return { text, restore: (output) => output };
+
+  const terms = [...rules.keys()].sort((a, b) => b.length - a.length);
+  // Whole words only, in any script
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+    'giu'
+  );
+  const used = [];
+  const protectedText = text.replace(pattern, (match) => {
+    const rule = rules.get(match.toLowerCase());
+    if (!rule) return match;
+    let index = used.indexOf(rule);
+    if (index === -1) index = used.push(rule) - 1;
+    return placeholder(index);
+  });
+
+  return {
+    text: protectedText,
+    restore: (output) =>
+      output.replace(PLACEHOLDER_PATTERN, (match, index) => {
+        const rule = used[Number(index)];
+        return rule ? rule.target ?? rule.source : match;
+      }),
+  };
+}
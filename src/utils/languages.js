@@ -208,6 +208,11 @@ export const LANGUAGES = {
   Zulu: 'zul_Latn',
 };
 
+// Display name of a FLORES-200 code, e.g. 'fra_Latn' -> 'French'
+export function getLanguageName(code) {
+  return Object.entries(LANGUAGES).find(([, value]) => value === code)?.[0];
+}
+
 export const languageMapping = {
   en: 'eng_Latn',
   zh: 'zho_Hant',
@@ -0,0 +1,101 @@
+import { DEVICE_CONFIGS } from './device';
+
+// Whisper checkpoint, precision and generation length chosen on the
+// broadcaster, remembered per backend in local storage. Settings look like
+//
+//   {
+//     model: 'whisper-base',
+//     dtype: { encoder_model: 'fp32', decoder_model_merged: 'q4' },
+//     max_new_tokens: 64,
+//     word_timestamps: false,
+//   }
+
+// The `.en` checkpoints only transcribe English, but do it better than the
+// multilingual ones of the same size.
+export const WHISPER_MODELS = {
+  'whisper-tiny': { model_id: 'onnx-community/whisper-tiny', parameters: 39 },
+  'whisper-tiny.en': { model_id: 'onnx-community/whisper-tiny.en', parameters: 39 },
+  'whisper-base': { model_id: 'onnx-community/whisper-base', parameters: 73 },
+  'whisper-base.en': { model_id: 'onnx-community/whisper-base.en', parameters: 73 },
+  'whisper-small': { model_id: 'onnx-community/whisper-small', parameters: 244 },
+  'whisper-small.en': { model_id: 'onnx-community/whisper-small.en', parameters: 244 },
+};
+
+// Precisions that run on each backend. Half precision needs WebGPU, and 8-bit
+// weights are slow there.
+export const DTYPES = {
+  webgpu: ['fp32', 'fp16', 'q4'],
+  wasm: ['fp32', 'q8', 'q4'],
+};
+
+const BYTES_PER_WEIGHT = { fp32: 4, fp16: 2, q8: 1, q4: 0.5 };
+
+export const DEFAULT_MAX_NEW_TOKENS = 64;
+// Whisper's decoder only has 448 positions, some of them taken by the prompt
+export const MAX_NEW_TOKENS_LIMIT = 400;
+
+// Word timestamps come from cross-attention alignment, which needs a model
+// exported with its attention weights
+const TIMESTAMPED_SUFFIX = '_timestamped';
+
+const STORAGE_KEY = 'tawi:model-settings';
+
+export function defaultModelSettings(device) {
+  const config = DEVICE_CONFIGS[device];
+  return {
+    model: config.model_name,
+    dtype: { ...config.dtype },
+    max_new_tokens: DEFAULT_MAX_NEW_TOKENS,
+    word_timestamps: false,
+  };
+}
+
+function isValid(settings, device) {
+  const { model, dtype, max_new_tokens, word_timestamps } = settings ?? {};
+  return (
+    model in WHISPER_MODELS &&
+    DTYPES[device].includes(dtype?.encoder_model) &&
+    DTYPES[device].includes(dtype?.decoder_model_merged) &&
+    Number.isInteger(max_new_tokens) &&
+    max_new_tokens >= 1 &&
+    max_new_tokens <= MAX_NEW_TOKENS_LIMIT &&
+    typeof word_timestamps === 'boolean'
+  );
+}
+
+// Saved settings for `device`, or its defaults if there are none or they
+// are unusable. Settings added since they were saved take their defaults.
+export function loadModelSettings(device) {
+  try {
+    const saved = {
+      ...defaultModelSettings(device),
+      ...JSON.parse(localStorage.getItem(`${STORAGE_KEY}:${device}`)),
+    };
+    if (isValid(saved, device)) return saved;
+  } catch {
+    // Unreadable: fall through to the defaults
+  }
+  return defaultModelSettings(device);
+}
+
+export function saveModelSettings(device, settings) {
+  try {
+    localStorage.setItem(`${STORAGE_KEY}:${device}`, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Model settings are not saved:', error);
+  }
+}
+
+// Model id plus what the welcome card shows about it
+export function describeModel({ model, dtype, word_timestamps }) {
+  const { model_id, parameters } = WHISPER_MODELS[model];
+  // Encoder and decoder are about the same size
+  const bytes = (BYTES_PER_WEIGHT[dtype.encoder_model] + BYTES_PER_WEIGHT[dtype.decoder_model_merged]) / 2;
+  return {
+    model_id: word_timestamps ? `${model_id}${TIMESTAMPED_SUFFIX}` : model_id,
+    model_name: model,
+    parameters: `${parameters} million`,
+    size: `~${Math.max(10, Math.round((parameters * bytes) / 10) * 10)} MB`,
+    englishOnly: model.endsWith('.en'),
+  };
+}
@@ -0,0 +1,76 @@
+// Options of the caption overlay (`#/overlay/<channel>?...`), meant as a
+// browser source in OBS and other streaming software. All are optional:
+//
+//   lang=fra_Latn      language to show (FLORES-200), the original if unset
+//   font=Georgia       CSS font family
+//   size=42            font size in px
+//   color=ffffff       text color (hex without '#', or a CSS color name)
+//   outline=000000     color of the outline that keeps text readable
+//   background=transparent  color behind the lines, e.g. 00000099
+//   lines=2            how many caption lines to show
+//   position=bottom    'bottom', 'middle' or 'top'
+//   align=center       'left', 'center' or 'right'
+//   fade=8             seconds a line stays after it last changed (0: forever)
+//   fadeDuration=0.5   seconds the fade-out takes
+//
+// Anything unusable falls back to its default, so a typo never blanks a
+// stream.
+
+export const OVERLAY_DEFAULTS = {
+  lang: null,
+  font: 'sans-serif',
+  size: 42,
+  color: '#ffffff',
+  outline: '#000000',
+  background: 'transparent',
+  lines: 2,
+  position: 'bottom',
+  align: 'center',
+  fade: 8,
+  fadeDuration: 0.5,
+};
+
+const POSITIONS = ['bottom', 'middle', 'top'];
+const ALIGNMENTS = ['left', 'center', 'right'];
+
+function parseNumber(value, min, max) {
+  const number = Number(value);
+  return value !== null && value !== '' && number >= min && number <= max ? number : null;
+}
+
+// Hex colors may leave out the '#', which has to be escaped in URLs
+function parseColor(value) {
+  if (!value) return null;
+  if (/^#?([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i.test(value)) {
+    return value.startsWith('#') ? value : `#${value}`;
+  }
+  return /^[a-z]+$/i.test(value) ? value : null;
+}
+
+// Letters, digits, spaces, commas, quotes and dashes: enough for any font
+// stack, not enough to break out of the property
+function parseFont(value) {
+  return value && /^[\w\s,'"-]+$/.test(value) ? value : null;
+}
+
+export function parseOverlayOptions(searchParams) {
+  const get = (name) => searchParams.get(name);
+  const options = {
+    lang: /^[a-z]{3}_[A-Za-z]{4}$/.test(get('lang') ?? '') ? get('lang') : null,
+    font: parseFont(get('font')),
+    size: parseNumber(get('size'), 8, 200),
+    color: parseColor(get('color')),
+    outline: parseColor(get('outline')),
+    background: parseColor(get('background')),
+    lines: parseNumber(get('lines'), 1, 10),
+    position: POSITIONS.includes(get('position')) ? get('position') : null,
+    align: ALIGNMENTS.includes(get('align')) ? get('align') : null,
+    fade: parseNumber(get('fade'), 0, 3600),
+    fadeDuration: parseNumber(get('fadeDuration'), 0, 60),
+  };
+  for (const [name, value] of Object.entries(options)) {
+    if (value === null) options[name] = OVERLAY_DEFAULTS[name];
+  }
+  options.lines = Math.round(options.lines);
+  return options;
+}
@@ -0,0 +1,425 @@
+// Broadcast protocol between broadcaster and receivers.
+//
+// Every `transcript` event carries one revision of one segment (roughly a
+// sentence). Version 1 payloads look like:
+//
+//   {
+//     v: 1,
+//     sessionId: 'a1b2c3d4', // random per broadcaster page load
+//     seq: 42,               // +1 for every message sent in the session
+//     segmentId: 'a1b2c3d4-7',
+//     revision: 3,           // 0 for the first version of a segment
+//     isFinal: false,        // true once no further revisions will follow
+//     start: 1718000000000,  // ms since epoch when the segment started
+//     end: 1718000004200,    // ms since epoch of its latest revision
+//     text: 'Hello world.',
+//     language: 'en',        // Whisper language code
+//     languageConfidence: 0.93, // optional, only if `language` was detected
+//     speaker: 'Amina',      // optional name of whoever is speaking
+//     translatedTo: ['fra_Latn'], // optional, see below
+//     words: [               // optional, with word timestamps enabled
+//       { text: ' Hello', start: 1718000000200, end: 1718000000550 },
+//       { text: ' world.', start: 1718000000600, end: 1718000001100 },
+//     ],
+//   }
+//
+// Word times are ms since epoch on the broadcaster's clock, and word texts
+// concatenate to `text` up to whitespace.
+//
+// With language detection, consecutive segments can be in different
+// languages, so receivers should translate each from its own `language`.
+// The same goes for channels with several broadcasters (each with its own
+// `sessionId` and usually a `speaker` name), which may speak different
+// languages.
+//
+// Receivers should use `TranscriptSequencer` to drop duplicates and
+// out-of-order revisions and to notice missed messages.
+//
+// A broadcaster that translates on behalf of its listeners lists the target
+// languages (FLORES-200 codes) in `translatedTo` and follows up with one
+// `translation` event per language and revision:
+//
+//   {
+//     v: 1,
+//     sessionId: 'a1b2c3d4',
+//     segmentId: 'a1b2c3d4-7',
+//     revision: 3,           // revision of the transcript that was translated
+//     isFinal: false,
+//     language: 'fra_Latn',
+//     text: 'Bonjour le monde.',
+//   }
+//
+// Receivers also track their presence on the channel (see the transports),
+// saying which languages they read:
+//
+//   { v: 1, role: 'listener', languages: ['fra_Latn', 'swh_Latn'] }
+//
+// and can talk back with `feedback` events, either a question translated
+// into the broadcaster's language or a quick reaction (see `feedback.js`):
+//
+//   {
+//     v: 1,
+//     listenerId: 'e5f6a7b8',  // random per receiver page load
+//     feedbackId: 'e5f6a7b8-2',
+//     kind: 'question',        // or 'reaction'
+//     text: 'Wie heißt das Buch?', // questions only
+//     language: 'deu_Latn',    // of `text`
+//     original: 'What is the book called?', // optional, if translated
+//     originalLanguage: 'eng_Latn',
+//   }
+//
+//   { v: 1, listenerId, feedbackId, kind: 'reaction', reaction: 'repeat' }
+//
+// Receivers that join mid-session catch up by sending a `sync-request`:
+//
+//   { v: 1, requestId: 'e5f6a7b8', since: 1718000000000 } // ms since epoch
+//
+// Every broadcaster in the channel answers with the segments it kept since
+// then (`since: 0` for all of them, up to a limit set by the broadcaster),
+// in one or more `sync-response` events. Requests that arrive close
+// together are answered at once, so a response lists all of them:
+//
+//   {
+//     v: 1,
+//     requestIds: ['e5f6a7b8'],
+//     sessionId: 'a1b2c3d4',
+//     segments: [            // transcript fields without `v`, `sessionId`
+//       {                    // and `seq`, oldest first, plus translations
+//         segmentId: 'a1b2c3d4-7', // the broadcaster made for listeners
+//         ...
+//         translations: { fra_Latn: 'Bonjour le monde.' },
+//       },
+//     ],
+//   }
+//
+// Broadcasters share their glossary (see `glossary.js`) in a `glossary`
+// event whenever it changes and after answering a sync request, so
+// receivers translate terms the same way:
+//
+//   {
+//     v: 1,
+//     sessionId: 'a1b2c3d4',
+//     entries: [{ source: 'dashboard', target: 'tableau de bord', language: 'fra_Latn' }],
+//   }
+
+export const PROTOCOL_VERSION = 1;
+export const TRANSCRIPT_EVENT = 'transcript';
+export const TRANSLATION_EVENT = 'translation';
+export const FEEDBACK_EVENT = 'feedback';
+export const SYNC_REQUEST_EVENT = 'sync-request';
+export const SYNC_RESPONSE_EVENT = 'sync-response';
+export const GLOSSARY_EVENT = 'glossary';
+
+// Longest feedback text accepted, with room for translations to grow
+const MAX_FEEDBACK_TEXT = 1000;
+export const MAX_SPEAKER_LENGTH = 64;
+export const MAX_GLOSSARY_ENTRIES = 100;
+export const MAX_TERM_LENGTH = 100;
+
+// How many segments a sequencer remembers per session
+const MAX_TRACKED_SEGMENTS = 500;
+
+const SEGMENT_FIELDS = {
+  segmentId: 'string',
+  revision: 'number',
+  isFinal: 'boolean',
+  start: 'number',
+  end: 'number',
+  text: 'string',
+  language: 'string',
+};
+
+function isWord(word) {
+  return (
+    typeof word?.text === 'string' &&
+    typeof word.start === 'number' &&
+    typeof word.end === 'number' &&
+    word.start <= word.end
+  );
+}
+
+// Returns a description of what is wrong with `payload`, or null if it is a
+// valid transcript message for the current protocol version.
+export function validateTranscript(payload) {
+  if (!payload || typeof payload !== 'object') return 'payload is not an object';
+  if (payload.v !== PROTOCOL_VERSION) {
+    return `unsupported protocol version: ${payload.v}`;
+  }
+  if (typeof payload.sessionId !== 'string') return '"sessionId" must be a string';
+  if (!Number.isInteger(payload.seq) || payload.seq < 0) {
+    return '"seq" must be a non-negative integer';
+  }
+  return validateSegment(payload);
+}
+
+// The segment fields of a transcript, as also found in sync responses
+function validateSegment(payload) {
+  if (!payload || typeof payload !== 'object') return 'segment is not an object';
+  for (const [field, type] of Object.entries(SEGMENT_FIELDS)) {
+    if (typeof payload[field] !== type) {
+      return `"${field}" must be a ${type}`;
+    }
+  }
+  if (!Number.isInteger(payload.revision) || payload.revision < 0) {
+    return '"revision" must be a non-negative integer';
+  }
+  if (payload.end < payload.start) return '"end" is before "start"';
+  if (
+    payload.languageConfidence !== undefined &&
+    !(payload.languageConfidence >= 0 && payload.languageConfidence <= 1)
+  ) {
+    return '"languageConfidence" must be a number between 0 and 1';
+  }
+  if (
+    payload.words !== undefined &&
+    !(Array.isArray(payload.words) && payload.words.every(isWord))
+  ) {
+    return '"words" must be an array of { text, start, end }';
+  }
+  if (
+    payload.speaker !== undefined &&
+    !(typeof payload.speaker === 'string' && payload.speaker.length <= MAX_SPEAKER_LENGTH)
+  ) {
+    return `"speaker" must be a string of at most ${MAX_SPEAKER_LENGTH} characters`;
+  }
+  if (
+    payload.translatedTo !== undefined &&
+    !(Array.isArray(payload.translatedTo) &&
+      payload.translatedTo.every((language) => typeof language === 'string'))
+  ) {
+    return '"translatedTo" must be an array of strings';
+  }
+  return null;
+}
+
+const TRANSLATION_FIELDS = {
+  sessionId: 'string',
+  segmentId: 'string',
+  revision: 'number',
+  isFinal: 'boolean',
+  language: 'string',
+  text: 'string',
+};
+
+// Same as `validateTranscript`, for `translation` events
+export function validateTranslation(payload) {
+  if (!payload || typeof payload !== 'object') return 'payload is not an object';
+  if (payload.v !== PROTOCOL_VERSION) {
+    return `unsupported protocol version: ${payload.v}`;
+  }
+  for (const [field, type] of Object.entries(TRANSLATION_FIELDS)) {
+    if (typeof payload[field] !== type) {
+      return `"${field}" must be a ${type}`;
+    }
+  }
+  return null;
+}
+
+// Same as `validateTranscript`, for `feedback` events
+export function validateFeedback(payload) {
+  if (!payload || typeof payload !== 'object') return 'payload is not an object';
+  if (payload.v !== PROTOCOL_VERSION) {
+    return `unsupported protocol version: ${payload.v}`;
+  }
+  for (const field of ['listenerId', 'feedbackId']) {
+    if (typeof payload[field] !== 'string') return `"${field}" must be a string`;
+  }
+  if (payload.kind === 'reaction') {
+    return typeof payload.reaction === 'string' ? null : '"reaction" must be a string';
+  }
+  if (payload.kind !== 'question') return `unknown kind: ${payload.kind}`;
+  for (const field of ['text', 'language']) {
+    if (typeof payload[field] !== 'string') return `"${field}" must be a string`;
+  }
+  if (!payload.text.trim()) return '"text" is empty';
+  if (payload.text.length > MAX_FEEDBACK_TEXT || payload.original?.length > MAX_FEEDBACK_TEXT) {
+    return `text longer than ${MAX_FEEDBACK_TEXT} characters`;
+  }
+  return null;
+}
+
+export function validateSyncRequest(payload) {
+  if (!payload || typeof payload !== 'object') return 'payload is not an object';
+  if (payload.v !== PROTOCOL_VERSION) {
+    return `unsupported protocol version: ${payload.v}`;
+  }
+  if (typeof payload.requestId !== 'string') return '"requestId" must be a string';
+  if (typeof payload.since !== 'number') return '"since" must be a number';
+  return null;
+}
+
+export function validateSyncResponse(payload) {
+  if (!payload || typeof payload !== 'object') return 'payload is not an object';
+  if (payload.v !== PROTOCOL_VERSION) {
+    return `unsupported protocol version: ${payload.v}`;
+  }
+  if (!(Array.isArray(payload.requestIds) && payload.requestIds.every((id) => typeof id === 'string'))) {
+    return '"requestIds" must be an array of strings';
+  }
+  if (typeof payload.sessionId !== 'string') return '"sessionId" must be a string';
+  if (!Array.isArray(payload.segments)) return '"segments" must be an array';
+  for (const segment of payload.segments) {
+    const error = validateSegment(segment);
+    if (error) return `segment ${segment?.segmentId}: ${error}`;
+    if (
+      segment.translations !== undefined &&
+      !(typeof segment.translations === 'object' &&
+        segment.translations !== null &&
+        !Array.isArray(segment.translations) &&
+        Object.values(segment.translations).every((text) => typeof text === 'string'))
+    ) {
+      return `segment ${segment.segmentId}: "translations" must map languages to strings`;
+    }
+  }
+  return null;
+}
+
+// What is wrong with a list of glossary entries, or null
+export function validateGlossaryEntries(entries) {
+  if (!Array.isArray(entries)) return 'glossary entries must be an array';
+  if (entries.length > MAX_GLOSSARY_ENTRIES) {
+    return `more than ${MAX_GLOSSARY_ENTRIES} glossary entries`;
+  }
+  for (const entry of entries) {
+    if (typeof entry?.source !== 'string' || !entry.source.trim()) {
+      return 'glossary entries need a "source"';
+    }
+    for (const field of ['source', 'target', 'language']) {
+      if (entry[field] === undefined) continue;
+      if (typeof entry[field] !== 'string' || entry[field].length > MAX_TERM_LENGTH) {
+        return `glossary "${field}" must be a string of at most ${MAX_TERM_LENGTH} characters`;
+      }
+    }
+  }
+  return null;
+}
+
+export function validateGlossary(payload) {
+  if (!payload || typeof payload !== 'object') return 'payload is not an object';
+  if (payload.v !== PROTOCOL_VERSION) {
+    return `unsupported protocol version: ${payload.v}`;
+  }
+  if (typeof payload.sessionId !== 'string') return '"sessionId" must be a string';
+  return validateGlossaryEntries(payload.entries);
+}
+
+export function createSyncRequest(fields) {
+  return { v: PROTOCOL_VERSION, ...fields };
+}
+
+export function createSyncResponse(fields) {
+  return { v: PROTOCOL_VERSION, ...fields };
+}
+
+export function createTranscript(fields) {
+  return { v: PROTOCOL_VERSION, ...fields };
+}
+
+export function createTranslation(fields) {
+  return { v: PROTOCOL_VERSION, ...fields };
+}
+
+export function createFeedback(fields) {
+  return { v: PROTOCOL_VERSION, ...fields };
+}
+
+export function createGlossary(fields) {
+  return { v: PROTOCOL_VERSION, ...fields };
+}
+
+export function createListenerPresence(languages) {
+  return { v: PROTOCOL_VERSION, role: 'listener', languages };
+}
+
+function isListener(presence) {
+  return (
+    presence?.v === PROTOCOL_VERSION &&
+    presence.role === 'listener' &&
+    Array.isArray(presence.languages) &&
+    presence.languages.every((language) => typeof language === 'string')
+  );
+}
+
+// Listeners in a channel's `presenceState()`: their presence keys and how
+// many read each language. Anything that isn't a valid listener is ignored.
+export function summarizeListeners(presenceState) {
+  const listeners = {};
+  const languages = {};
+  for (const [key, presences] of Object.entries(presenceState)) {
+    // The latest state wins if a client tracked several times
+    const presence = presences[presences.length - 1];
+    if (!isListener(presence)) continue;
+    listeners[key] = presence.languages;
+    for (const language of presence.languages) {
+      languages[language] = (languages[language] ?? 0) + 1;
+    }
+  }
+  return { listeners, count: Object.keys(listeners).length, languages };
+}
+
+/**
+ * Tracks what a receiver has seen so far. `accept(payload)` classifies each
+ * incoming message:
+ *
+ * - `invalid`: fails validation (`error` says why)
+ * - `duplicate`: this or a newer revision of the segment was already seen,
+ *   or the segment is already final
+ * - `new`: first message for a segment
+ * - `revision`: newer revision of a known segment
+ *
+ * `gap` is the number of messages skipped since the highest `seq` seen, so
+ * each is counted once: a skipped message that arrives late is below it and
+ * adds nothing.
+ *
+ * Segments replayed in a sync response go through `remember(sessionId,
+ * segment)` instead, which says whether the segment is news.
+ */
+export class TranscriptSequencer {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  session(sessionId) {
+    let session = this.sessions.get(sessionId);
+    if (!session) {
+      // `highestSeq` is set by the first live message
+      session = { highestSeq: null, segments: new Map() };
+      this.sessions.set(sessionId, session);
+    }
+    return session;
+  }
+
+  accept(payload) {
+    const error = validateTranscript(payload);
+    if (error) return { status: 'invalid', error, gap: 0 };
+
+    const session = this.session(payload.sessionId);
+    session.highestSeq ??= payload.seq - 1;
+    let gap = 0;
+    if (payload.seq > session.highestSeq) {
+      gap = payload.seq - session.highestSeq - 1;
+      session.highestSeq = payload.seq;
+    }
+
+    return { status: this.record(session, payload), gap };
+  }
+
+  // Whether `segment` (with `segmentId`, `revision` and `isFinal`) is newer
+  // than what was seen of it so far
+  remember(sessionId, segment) {
+    return this.record(this.session(sessionId), segment) !== 'duplicate';
+  }
+
+  // Status of a valid segment for `accept`
+  record(session, { segmentId, revision, isFinal }) {
+    const known = session.segments.get(segmentId);
+    if (known && (known.isFinal || revision <= known.revision)) return 'duplicate';
+
+    session.segments.set(segmentId, { revision, isFinal });
+    if (session.segments.size > MAX_TRACKED_SEGMENTS) {
+      // Maps iterate in insertion order, so this forgets the oldest segment
+      session.segments.delete(session.segments.keys().next().value);
+    }
+    return known ? 'revision' : 'new';
+  }
+}
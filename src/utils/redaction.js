@@ -0,0 +1,259 @@
+// Redaction of personal data and profanity before anything is broadcast.
+// The broadcaster runs every Whisper output through a `Redactor` before it
+// becomes a segment, so listeners, translations and exports only ever see
+// the masked text. Settings are remembered in local storage and look like
+//
+//   {
+//     enabled: true,
+//     detectors: { email: true, phone: true, card: true, profanity: true },
+//     words: ['Project Falcon'], // matched as whole words, any case
+//     patterns: ['ACME-\\d{4}'], // regular expressions, any case
+//     style: 'label',            // see `MASKING_STYLES`
+//   }
+
+const STORAGE_KEY = 'tawi:redaction';
+
+// Built-in detectors, by the kind they report
+export const DETECTORS = {
+  email: 'Email addresses',
+  phone: 'Phone numbers',
+  card: 'Card numbers',
+  profanity: 'Profanity',
+};
+
+export const MASKING_STYLES = {
+  label: 'Label, e.g. [email]',
+  asterisks: 'Asterisks, e.g. *****',
+  remove: 'Remove',
+};
+
+const LABELS = {
+  email: '[email]',
+  phone: '[phone number]',
+  card: '[card number]',
+  profanity: '[bleep]',
+  custom: '[redacted]',
+};
+
+// Written, and as Whisper spells them out ("jane at example dot com")
+const EMAIL_PATTERN =
+  /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}|[\p{L}\p{N}._%+-]+ at [\p{L}\p{N}-]+(?: dot [\p{L}\p{N}-]+)+/giu;
+// 12 to 19 digits, grouped by spaces or dashes, that pass the Luhn check or
+// come in groups of four like on the card
+const CARD_PATTERN = /(?<!\d)\d(?:[ -]?\d){11,18}(?!\d)/g;
+const CARD_GROUPS_PATTERN = /^\d{4}(?:([ -])\d{4})(?:\1\d{4}){1,2}(?:\1\d{1,4})?$/;
+// Phone numbers as they are usually written: after a country code
+// (+254 712 345678), with the area code in parentheses ((415) 555-0123), in
+// three or more groups (415-555-0123, 020 7946 0958) or after a trunk 0
+// (0712 345678). Bare runs of digits ("1234567 users") and dates
+// (12.05.2024) don't match.
+const PHONE_PATTERN =
+  /(?<![\d+])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d(?:[ .-]?\d){5,13}|\(\d{2,4}\)[ .-]?\d{3,4}[ .-]?\d{3,4}|\d{2,5}([ .-])\d{3,4}(?:\1\d{2,4}){1,2}|0\d{2,4}[ .-]?\d{5,8})(?!\d)/g;
+// Parts of a card or phone number, and the words of a spelled-out address
+const NUMBER_PART_PATTERN = /^[+(]?\d[\d().-]*[,.]?$/;
+const SPELLED_EMAIL_WORDS = ['at', 'dot'];
+// Large numbers and IP addresses, grouped in threes
+const THOUSANDS_PATTERN = /^\d{1,3}(?:[ .]\d{3})+$/;
+
+// Kept short: it is easier to add words than to argue about them
+const PROFANITY = [
+  'arsehole', 'asshole', 'bastard', 'bitch', 'bitches', 'bollocks', 'bullshit',
+  'cunt', 'dickhead', 'fuck', 'fucked', 'fucker', 'fucking', 'fucks',
+  'motherfucker', 'shit', 'shits', 'shitty', 'wanker',
+];
+
+// Custom words and patterns
+export const MAX_REDACTION_RULES = 100;
+
+export function defaultRedactionSettings() {
+  return {
+    enabled: false,
+    detectors: Object.fromEntries(Object.keys(DETECTORS).map((kind) => [kind, true])),
+    words: [],
+    patterns: [],
+    style: 'label',
+  };
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole words only, in any script
+function wordPattern(words) {
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+    'giu'
+  );
+}
+
+// What is wrong with a custom pattern, or null if it can be used
+export function validatePattern(pattern) {
+  try {
+    if (new RegExp(pattern, 'giu').test('')) return 'Matches empty text';
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function isValid(settings) {
+  const { enabled, detectors, words, patterns, style } = settings ?? {};
+  const isStrings = (list) =>
+    Array.isArray(list) &&
+    list.length <= MAX_REDACTION_RULES &&
+    list.every((item) => typeof item === 'string');
+  return (
+    typeof enabled === 'boolean' &&
+    Object.keys(DETECTORS).every((kind) => typeof detectors?.[kind] === 'boolean') &&
+    isStrings(words) &&
+    isStrings(patterns) &&
+    patterns.every((pattern) => !validatePattern(pattern)) &&
+    style in MASKING_STYLES
+  );
+}
+
+export function loadRedactionSettings() {
+  try {
+    const saved = {
+      ...defaultRedactionSettings(),
+      ...JSON.parse(localStorage.getItem(STORAGE_KEY)),
+    };
+    if (isValid(saved)) return saved;
+  } catch {
+    // Unreadable: fall through to the defaults
+  }
+  return defaultRedactionSettings();
+}
+
+export function saveRedactionSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Redaction settings are not saved:', error);
+  }
+}
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function countDigits(text) {
+  return text.replace(/\D/g, '').length;
+}
+
+function isCardNumber(text) {
+  const digits = text.replace(/\D/g, '');
+  return (digits.length >= 13 && luhn(digits)) || CARD_GROUPS_PATTERN.test(text);
+}
+
+// At most 15 digits make a phone number
+function isPhoneNumber(text) {
+  return countDigits(text) <= 15 && !THOUSANDS_PATTERN.test(text);
+}
+
+export class Redactor {
+  constructor(settings = defaultRedactionSettings()) {
+    this.settings = settings;
+    // `[kind, pattern, accept(match)]`, in order of precedence: where
+    // matches overlap, the earlier detector wins
+    this.detectors = [];
+    if (!settings.enabled) return;
+
+    const { detectors, words, patterns } = settings;
+    if (detectors.email) this.detectors.push(['email', EMAIL_PATTERN]);
+    if (detectors.card) {
+      this.detectors.push(['card', CARD_PATTERN, isCardNumber]);
+    }
+    if (detectors.phone) {
+      this.detectors.push(['phone', PHONE_PATTERN, isPhoneNumber]);
+    }
+    if (detectors.profanity) this.detectors.push(['profanity', wordPattern(PROFANITY)]);
+    if (words.length > 0) this.detectors.push(['custom', wordPattern(words)]);
+    for (const pattern of patterns) {
+      if (!validatePattern(pattern)) this.detectors.push(['custom', new RegExp(pattern, 'giu')]);
+    }
+  }
+
+  mask(kind, text) {
+    switch (this.settings.style) {
+      case 'asterisks':
+        return text.replace(/\S/g, '*');
+      case 'remove':
+        return '';
+      default:
+        return LABELS[kind];
+    }
+  }
+
+  // Where the end of a transcript that is still being spoken starts that
+  // may yet grow into something to mask: its last word, and before that any
+  // more parts of a number, of a spelled-out email address or of a custom
+  // phrase that the end continues
+  unfinishedStart(text) {
+    const tokens = [...text.matchAll(/\S+/g)];
+    if (tokens.length === 0) return text.length;
+    const { words } = this.settings;
+    const continues = (previous, next) => {
+      if (NUMBER_PART_PATTERN.test(previous[0]) && NUMBER_PART_PATTERN.test(next[0])) return true;
+      if ([previous[0], next[0]].some((token) => SPELLED_EMAIL_WORDS.includes(token.toLowerCase()))) {
+        return true;
+      }
+      const phrase = text.slice(previous.index).toLowerCase();
+      return words.some((word) => word.toLowerCase().startsWith(phrase));
+    };
+    let first = tokens.length - 1;
+    while (first > 0 && continues(tokens[first - 1], tokens[first])) first--;
+    return tokens[first].index;
+  }
+
+  // Returns the masked text and what was masked, as `{ kind, text,
+  // replacement }` in order of appearance. With `partial`, the text is
+  // still being spoken and its unfinished end is held back until a later
+  // pass (see `unfinishedStart`), which `heldBack` tells.
+  redact(text, { partial = false } = {}) {
+    let heldBack = false;
+    if (partial && this.settings.enabled) {
+      const end = this.unfinishedStart(text);
+      heldBack = end < text.length;
+      text = text.slice(0, end).trimEnd();
+    }
+
+    const found = [];
+    for (const [kind, pattern, accept = () => true] of this.detectors) {
+      for (const match of text.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (!match[0] || !accept(match[0])) continue;
+        if (found.some((other) => start < other.end && other.start < end)) continue;
+        found.push({ kind, start, end, text: match[0] });
+      }
+    }
+    if (found.length === 0) return { text, redactions: [], heldBack };
+
+    found.sort((a, b) => a.start - b.start);
+    let result = '';
+    let position = 0;
+    const redactions = found.map(({ kind, start, end, text: original }) => {
+      const replacement = this.mask(kind, original);
+      result += text.slice(position, start) + replacement;
+      position = end;
+      return { kind, text: original, replacement };
+    });
+    result += text.slice(position);
+    if (this.settings.style === 'remove') {
+      // Don't leave gaps where something was taken out
+      result = result.replace(/ {2,}/g, ' ').replace(/ ([,.!?;:])/g, '$1').trim();
+    }
+    return { text: result, redactions, heldBack };
+  }
+}
@@ -0,0 +1,52 @@
+// Fixed-size circular buffer of audio samples. Samples are addressed by their
+// absolute index since the last `clear()`, so callers can keep positions
+// (e.g. "speech started at sample 48000") across wrap-arounds. Only the last
+// `capacity` samples can be read back.
+export class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.buffer = new Float32Array(capacity);
+    this.written = 0;
+  }
+
+  // Oldest readable index
+  get start() {
+    return Math.max(0, this.written - this.capacity);
+  }
+
+  // One past the newest index
+  get end() {
+    return this.written;
+  }
+
+  push(samples) {
+    // Anything beyond capacity would be overwritten straight away
+    const skipped = Math.max(0, samples.length - this.capacity);
+    const data = samples.subarray(skipped);
+    this.written += skipped;
+
+    const offset = this.written % this.capacity;
+    const first = Math.min(data.length, this.capacity - offset);
+    this.buffer.set(data.subarray(0, first), offset);
+    this.buffer.set(data.subarray(first), 0);
+    this.written += data.length;
+  }
+
+  // Copy of the samples in [from, to), clamped to what is still available
+  read(from, to) {
+    from = Math.max(from, this.start);
+    to = Math.min(to, this.end);
+    const out = new Float32Array(Math.max(0, to - from));
+    if (out.length === 0) return out;
+
+    const offset = from % this.capacity;
+    const first = Math.min(out.length, this.capacity - offset);
+    out.set(this.buffer.subarray(offset, offset + first));
+    out.set(this.buffer.subarray(0, out.length - first), first);
+    return out;
+  }
+
+  clear() {
+    this.written = 0;
+  }
+}
@@ -0,0 +1,109 @@
+import { languageMapping } from './languages';
+
+// Reading translations aloud with the Web Speech API.
+
+export const speechSupported =
+  typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+// Whisper's codes are ISO 639-1, which is what voices are tagged with. The
+// Chinese scripts need a region to pick the right voices.
+const SPEECH_LANGUAGES = {
+  ...Object.fromEntries(
+    Object.entries(languageMapping).map(([code, flores]) => [flores, code])
+  ),
+  zho_Hans: 'zh-CN',
+  zho_Hant: 'zh-TW',
+  yue_Hant: 'zh-HK',
+};
+
+// BCP 47 tag for a FLORES-200 code, or undefined if there is no known one
+export function speechLanguage(code) {
+  return SPEECH_LANGUAGES[code];
+}
+
+// Voices that can read `code`, best matches (same region) first
+export function voicesFor(voices, code) {
+  const tag = speechLanguage(code)?.toLowerCase();
+  if (!tag) return [];
+  const [language] = tag.split('-');
+  const normalise = (voice) => voice.lang.toLowerCase().replace('_', '-');
+  return voices
+    .filter((voice) => normalise(voice).split('-')[0] === language)
+    .sort((a, b) => (normalise(b) === tag) - (normalise(a) === tag));
+}
+
+/**
+ * Speaks texts one after another. `speechSynthesis` has a queue of its own,
+ * but it can't be inspected, so utterances are handed to it one at a time.
+ *
+ * `getOptions()` is read when each utterance starts and returns
+ * `{ voice, rate, volume, skipToLatest }`; with `skipToLatest`, only the
+ * newest pending text is kept whenever a new one arrives.
+ */
+export class SpeechQueue {
+  constructor({ synth = window.speechSynthesis, getOptions, onChange = () => {} }) {
+    this.synth = synth;
+    this.getOptions = getOptions;
+    this.onChange = onChange;
+    this.pending = [];
+    this.active = null;
+  }
+
+  get size() {
+    return this.pending.length + (this.active ? 1 : 0);
+  }
+
+  // `lang` is a BCP 47 tag, used when no voice is selected
+  enqueue({ text, lang }) {
+    this.pending.push({ text, lang });
+    if (this.getOptions().skipToLatest) {
+      this.pending.splice(0, this.pending.length - 1);
+    }
+    this.onChange(this.size);
+    this.next();
+  }
+
+  // Drop everything waiting and cut the current utterance short
+  skipToLatest() {
+    if (this.pending.length === 0) return;
+    this.pending.splice(0, this.pending.length - 1);
+    this.stop({ keepPending: true });
+  }
+
+  stop({ keepPending = false } = {}) {
+    if (!keepPending) this.pending = [];
+    const active = this.active;
+    this.active = null;
+    if (active) {
+      // Cancelling fires `error`/`end` on the utterance, which is ignored
+      // now that it isn't active
+      this.synth.cancel();
+    }
+    this.onChange(this.size);
+    this.next();
+  }
+
+  next() {
+    if (this.active || this.pending.length === 0) return;
+
+    const { text, lang } = this.pending.shift();
+    const { voice, rate = 1, volume = 1 } = this.getOptions();
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = voice?.lang ?? lang;
+    if (voice) utterance.voice = voice;
+    utterance.rate = rate;
+    utterance.volume = volume;
+
+    const done = () => {
+      if (this.active !== utterance) return;
+      this.active = null;
+      this.onChange(this.size);
+      this.next();
+    };
+    utterance.addEventListener('end', done);
+    utterance.addEventListener('error', done);
+
+    this.active = utterance;
+    this.synth.speak(utterance);
+  }
+}
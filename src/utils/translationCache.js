@@ -0,0 +1,127 @@
+// Translation cache for the translation worker: an in-memory LRU in front of
+// an IndexedDB store, so translations survive reloads. Keys cover the text,
+// both languages and the model, so switching any of them never returns a
+// stale translation. If IndexedDB is unavailable (e.g. private browsing),
+// only the in-memory cache is used.
+
+const DB_NAME = 'tawi-translation-cache';
+const STORE_NAME = 'translations';
+const DB_VERSION = 1;
+
+// Persisted entries beyond this are pruned, least recently used first
+const MAX_PERSISTED_ENTRIES = 10_000;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function openDatabase() {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    store.createIndex('usedAt', 'usedAt');
+  };
+  const db = await promisify(request);
+  await prune(db);
+  return db;
+}
+
+async function prune(db) {
+  const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+  let excess = (await promisify(store.count())) - MAX_PERSISTED_ENTRIES;
+  if (excess <= 0) return;
+
+  const cursors = store.index('usedAt').openCursor();
+  await new Promise((resolve, reject) => {
+    cursors.onsuccess = () => {
+      const cursor = cursors.result;
+      if (!cursor || excess-- <= 0) return resolve();
+      cursor.delete();
+      cursor.continue();
+    };
+    cursors.onerror = () => reject(cursors.error);
+  });
+}
+
+export class TranslationCache {
+  static key({ text, src_lang, tgt_lang, model }) {
+    return JSON.stringify([model, src_lang, tgt_lang, text]);
+  }
+
+  constructor({ capacity = 500 } = {}) {
+    this.capacity = capacity;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.db = openDatabase().catch((error) => {
+      console.warn('Translation cache is not persisted:', error);
+      return null;
+    });
+  }
+
+  get stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? this.hits / lookups : 0,
+      size: this.entries.size,
+    };
+  }
+
+  // Returns the cached translation, or undefined
+  async get(key) {
+    let value = this.entries.get(key);
+    if (value === undefined) {
+      value = await this.load(key);
+    }
+
+    if (value === undefined) {
+      this.misses++;
+      return undefined;
+    }
+    this.hits++;
+    this.remember(key, value);
+    return value;
+  }
+
+  async set(key, value) {
+    this.remember(key, value);
+    const db = await this.db;
+    if (!db) return;
+    try {
+      const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+      await promisify(store.put({ key, value, usedAt: Date.now() }));
+    } catch (error) {
+      console.warn('Failed to persist translation:', error);
+    }
+  }
+
+  async load(key) {
+    const db = await this.db;
+    if (!db) return undefined;
+    try {
+      const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+      const entry = await promisify(store.get(key));
+      if (!entry) return undefined;
+      // Touch the entry so pruning keeps it
+      store.put({ ...entry, usedAt: Date.now() });
+      return entry.value;
+    } catch (error) {
+      console.warn('Failed to read translation cache:', error);
+      return undefined;
+    }
+  }
+
+  // Insert as most recently used, evicting the least recently used entries
+  remember(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.capacity) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
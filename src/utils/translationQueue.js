@@ -0,0 +1,103 @@
+// Feeds translation jobs to the translation worker one at a time, in arrival
+// order. A job is `{ segmentId, revision, isFinal, text, src_lang, tgt_lang }`.
+// Jobs that aren't for a segment leave out `segmentId`, and `urgent` ones
+// (e.g. something the user is waiting to send) skip the line.
+//
+// - A newer revision of a segment replaces a pending older one in place, so
+//   only the latest text gets translated and the order is preserved.
+// - When more than `maxPending` jobs are waiting for one target language, its
+//   oldest partial jobs are dropped: partials will be superseded anyway,
+//   finals never are.
+// - Target languages take turns, so one language with a long backlog (e.g.
+//   just added) doesn't hold up the others.
+export class TranslationQueue {
+  constructor({ run, onChange = () => {}, maxPending = 20 }) {
+    this.run = run;
+    this.onChange = onChange;
+    this.maxPending = maxPending;
+    this.pending = [];
+    this.active = null;
+    this.nextId = 0;
+    this.lastLanguage = '';
+  }
+
+  get size() {
+    return this.pending.length + (this.active ? 1 : 0);
+  }
+
+  enqueue(job) {
+    job = { ...job, id: this.nextId++ };
+
+    const index = job.segmentId === undefined ? -1 : this.pending.findIndex(
+      (other) =>
+        other.segmentId === job.segmentId && other.tgt_lang === job.tgt_lang
+    );
+    if (index !== -1) {
+      if (this.pending[index].revision > job.revision) return;
+      this.pending[index] = job;
+    } else {
+      this.pending.push(job);
+    }
+
+    this.shed(job.tgt_lang);
+    this.onChange(this.size);
+    this.next();
+  }
+
+  // Drop stale partials for `tgt_lang`, oldest first, until it is back under
+  // the limit
+  shed(tgt_lang) {
+    const count = () => this.pending.filter((job) => job.tgt_lang === tgt_lang).length;
+    while (count() > this.maxPending) {
+      const index = this.pending.findIndex(
+        (job) => job.tgt_lang === tgt_lang && !job.isFinal
+      );
+      if (index === -1) break;
+      this.pending.splice(index, 1);
+    }
+  }
+
+  next() {
+    if (this.active || this.pending.length === 0) return;
+
+    const urgent = this.pending.findIndex((job) => job.urgent);
+    if (urgent !== -1) {
+      this.active = this.pending.splice(urgent, 1)[0];
+      this.run(this.active);
+      return;
+    }
+
+    // Round-robin over the target languages that have work waiting
+    const languages = [...new Set(this.pending.map((job) => job.tgt_lang))].sort();
+    const language =
+      languages.find((l) => l > this.lastLanguage) ?? languages[0];
+    this.lastLanguage = language;
+
+    const index = this.pending.findIndex((job) => job.tgt_lang === language);
+    this.active = this.pending.splice(index, 1)[0];
+    this.run(this.active);
+  }
+
+  // Called when the worker has finished the active job. Returns it, or null
+  // if `id` isn't the active job.
+  complete(id) {
+    if (this.active?.id !== id) return null;
+    const job = this.active;
+    this.active = null;
+    this.onChange(this.size);
+    this.next();
+    return job;
+  }
+
+  // Forget all jobs, e.g. when the worker has failed
+  clear() {
+    this.pending = [];
+    this.active = null;
+    this.onChange(this.size);
+  }
+
+  // The job the worker is currently translating, if `id` is it
+  get(id) {
+    return this.active?.id === id ? this.active : null;
+  }
+}
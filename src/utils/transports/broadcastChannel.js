@@ -0,0 +1,30 @@
+import { TransportChannel } from './channel';
+
+// Same-browser transport: tabs and windows of this origin talk through the
+// `BroadcastChannel` API. Nothing leaves the machine, which makes it handy
+// for local demos and tests.
+class LocalChannel extends TransportChannel {
+  open() {
+    if (this.bc) return;
+    this.bc = new BroadcastChannel(`tawi:${this.topic}`);
+    this.bc.onmessage = (e) => this.dispatch(e.data);
+  }
+
+  close() {
+    this.bc?.close();
+    this.bc = null;
+  }
+
+  post(message) {
+    // Sending before subscribing is allowed, as with Supabase.
+    this.open();
+    this.bc.postMessage(message);
+  }
+}
+
+export function createBroadcastChannelTransport() {
+  return {
+    name: 'local',
+    channel: (topic) => new LocalChannel(topic),
+  };
+}
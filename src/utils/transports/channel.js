@@ -0,0 +1,164 @@
+import { randomId } from '../utils';
+
+// Shared plumbing for transports that don't get a channel object from an SDK.
+// Channels mimic the subset of Supabase's `RealtimeChannel` API the app uses,
+// so routes can call `on`, `subscribe`, `send`, `track`, `presenceState` and
+// `unsubscribe` without knowing which transport is behind them.
+//
+// Without a server keeping track, presence is shared between peers: tracked
+// clients announce their state every `PRESENCE_INTERVAL` and when a newcomer
+// asks, and are dropped when they leave or go quiet for `PRESENCE_TIMEOUT`.
+// As with Supabase, `presence` listeners get `sync` after every change and
+// `join`/`leave` with `{ key, newPresences, leftPresences }`.
+
+const PRESENCE_INTERVAL = 15_000; // ms
+const PRESENCE_TIMEOUT = 40_000; // ms
+
+export class TransportChannel {
+  constructor(topic) {
+    this.topic = topic;
+    this.listeners = [];
+    this.presenceKey = randomId();
+    // key -> { state, seen }
+    this.presences = new Map();
+    this.tracked = null;
+  }
+
+  on(type, filter, callback) {
+    this.listeners.push({ type, event: filter?.event, callback });
+    return this;
+  }
+
+  subscribe(callback) {
+    this.open();
+    if (this.listeners.some((listener) => listener.type === 'presence')) {
+      this.startPresence();
+    }
+    callback?.('SUBSCRIBED');
+    return this;
+  }
+
+  async send({ type = 'broadcast', event, payload }) {
+    this.post({ type, event, payload });
+    return 'ok';
+  }
+
+  // Announce `state` (any JSON) to the channel, replacing what was tracked
+  async track(state) {
+    this.tracked = state;
+    this.startPresence();
+    this.setPresence(this.presenceKey, state);
+    this.announce();
+    return 'ok';
+  }
+
+  async untrack() {
+    if (!this.tracked) return 'ok';
+    this.tracked = null;
+    this.post({ type: 'presence', event: 'leave', key: this.presenceKey });
+    this.removePresence(this.presenceKey);
+    return 'ok';
+  }
+
+  // `{ [key]: [state] }` for every client tracked on the channel
+  presenceState() {
+    return Object.fromEntries(
+      [...this.presences].map(([key, { state }]) => [key, [{ ...state, presence_ref: key }]])
+    );
+  }
+
+  async unsubscribe() {
+    await this.untrack();
+    clearInterval(this.presenceTimer);
+    this.presenceTimer = null;
+    this.presences.clear();
+    this.listeners = [];
+    this.close();
+    return 'ok';
+  }
+
+  // Deliver an incoming message to matching listeners.
+  dispatch({ type, event, payload, key, state }) {
+    if (type === 'presence') {
+      this.receivePresence({ event, key, state });
+      return;
+    }
+    for (const listener of this.listeners) {
+      if (listener.type !== type) continue;
+      if (listener.event && listener.event !== event) continue;
+      listener.callback({ type, event, payload });
+    }
+  }
+
+  startPresence() {
+    if (this.presenceTimer) return;
+    this.presenceTimer = setInterval(() => {
+      this.announce();
+      this.prunePresences();
+    }, PRESENCE_INTERVAL);
+    // Ask everyone already here to announce themselves
+    this.post({ type: 'presence', event: 'query' });
+  }
+
+  announce() {
+    if (!this.tracked) return;
+    this.post({ type: 'presence', event: 'state', key: this.presenceKey, state: this.tracked });
+  }
+
+  receivePresence({ event, key, state }) {
+    if (event === 'query') {
+      this.announce();
+    } else if (event === 'state' && typeof key === 'string') {
+      this.setPresence(key, state);
+    } else if (event === 'leave' && typeof key === 'string') {
+      this.removePresence(key);
+    }
+  }
+
+  setPresence(key, state) {
+    const known = this.presences.get(key);
+    this.presences.set(key, { state, seen: Date.now() });
+    // Heartbeats that change nothing aren't news
+    if (known && JSON.stringify(known.state) === JSON.stringify(state)) return;
+    this.emitPresence('join', {
+      key,
+      newPresences: [{ ...state, presence_ref: key }],
+      currentPresences: known ? [{ ...known.state, presence_ref: key }] : [],
+    });
+    this.emitPresence('sync');
+  }
+
+  removePresence(key) {
+    const known = this.presences.get(key);
+    if (!known) return;
+    this.presences.delete(key);
+    this.emitPresence('leave', {
+      key,
+      leftPresences: [{ ...known.state, presence_ref: key }],
+      currentPresences: [],
+    });
+    this.emitPresence('sync');
+  }
+
+  // Forget peers that closed without saying goodbye
+  prunePresences() {
+    const cutoff = Date.now() - PRESENCE_TIMEOUT;
+    for (const [key, { seen }] of this.presences) {
+      if (key !== this.presenceKey && seen < cutoff) this.removePresence(key);
+    }
+  }
+
+  emitPresence(event, payload) {
+    for (const listener of this.listeners) {
+      if (listener.type !== 'presence') continue;
+      if (listener.event && listener.event !== event) continue;
+      listener.callback(payload);
+    }
+  }
+
+  // Implemented by each transport: `open`/`close` manage the underlying
+  // connection and `post(message)` hands a message to the other clients.
+  open() {}
+  close() {}
+  post() {}
+}
@@ -0,0 +1,8 @@
+// Thrown when a transport is set up with settings it can't work with, e.g. a
+// missing or malformed relay URL. The message is meant for the user.
+export class ConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigurationError';
+  }
+}
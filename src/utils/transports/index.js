@@ -0,0 +1,79 @@
+import { createBroadcastChannelTransport } from './broadcastChannel';
+import { createSupabaseTransport } from './supabase';
+import { createWebSocketTransport } from './websocket';
+import { ConfigurationError } from './errors';
+
+export const TRANSPORTS = ['supabase', 'local', 'websocket'];
+
+// Query parameters can live before the hash or, with the hash router, after
+// the route (`#/receiver/abc?transport=local`). Both are honoured.
+function getQueryParams() {
+  const params = new URLSearchParams(window.location.search);
+  const hashQuery = window.location.hash.split('?')[1];
+  for (const [key, value] of new URLSearchParams(hashQuery)) {
+    params.set(key, value);
+  }
+  return params;
+}
+
+// Resolve which transport to use. The URL (`?transport=` and `?relay=`) wins
+// over the build-time environment; without either, Supabase is used when it
+// is configured and the same-browser transport otherwise.
+export function resolveTransportConfig() {
+  const env = import.meta.env;
+  const params = getQueryParams();
+
+  let name = params.get('transport') || env.VITE_TRANSPORT;
+  if (!name) {
+    name = env.VITE_SUPABASE_URL ? 'supabase' : 'local';
+  }
+  if (!TRANSPORTS.includes(name)) {
+    console.warn(`Unknown transport "${name}", falling back to "local"`);
+    name = 'local';
+  }
+  if (name === 'supabase' && !env.VITE_SUPABASE_URL) {
+    console.warn('VITE_SUPABASE_URL is not set, falling back to "local"');
+    name = 'local';
+  }
+
+  return {
+    name,
+    supabaseUrl: env.VITE_SUPABASE_URL,
+    supabaseAnonKey: env.VITE_SUPABASE_ANON_KEY,
+    relayUrl: params.get('relay') || env.VITE_RELAY_URL,
+    // Whether the choice came from the URL and must be passed on in links
+    fromUrl: params.has('transport') || params.has('relay'),
+  };
+}
+
+function createTransportImpl(config) {
+  switch (config.name) {
+    case 'supabase':
+      return createSupabaseTransport({
+        url: config.supabaseUrl,
+        anonKey: config.supabaseAnonKey,
+      });
+    case 'websocket':
+      return createWebSocketTransport({ url: config.relayUrl });
+    case 'local':
+      return createBroadcastChannelTransport();
+    default:
+      throw new ConfigurationError(`Unknown transport: ${config.name}`);
+  }
+}
+
+// Query string that makes a shared link use the same transport as this page.
+function transportQuery(config) {
+  if (!config.fromUrl) return '';
+  const params = new URLSearchParams({ transport: config.name });
+  if (config.name === 'websocket' && config.relayUrl) {
+    params.set('relay', config.relayUrl);
+  }
+  return `?${params}`;
+}
+
+// A transport exposes `name`, `channel(topic)` and the `query` string to
+// append to receiver links.
+export function createTransport(config) {
+  return { ...createTransportImpl(config), query: transportQuery(config) };
+}
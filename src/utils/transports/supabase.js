@@ -0,0 +1,11 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Supabase Realtime broadcast. Its channels already expose the API the rest
+// of the app expects, so they are handed out as-is.
+export function createSupabaseTransport({ url, anonKey }) {
+  const supabase = createClient(url, anonKey);
+  return {
+    name: 'supabase',
+    channel: (topic) => supabase.channel(topic),
+  };
+}
@@ -0,0 +1,92 @@
+import { TransportChannel } from './channel';
+import { ConfigurationError } from './errors';
+
+const MAX_RECONNECT_DELAY = 10_000; // ms
+
+// Talks to a small self-hosted relay (see `relay/server.js`) over a plain
+// WebSocket. Every channel opens its own socket and joins its topic; the
+// relay forwards broadcasts to every other socket in the same topic.
+class WebSocketChannel extends TransportChannel {
+  constructor(topic, url) {
+    super(topic);
+    this.url = url;
+    this.queue = [];
+    this.retries = 0;
+  }
+
+  open() {
+    if (this.socket) return;
+    this.closed = false;
+
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.retries = 0;
+      socket.send(JSON.stringify({ type: 'join', topic: this.topic }));
+      // Flush whatever was sent while we were (re)connecting
+      for (const frame of this.queue.splice(0)) socket.send(frame);
+    };
+    socket.onmessage = (e) => {
+      let message;
+      try {
+        message = JSON.parse(e.data);
+      } catch {
+        return; // Ignore frames that aren't ours
+      }
+      if (message.topic === this.topic) this.dispatch(message);
+    };
+    socket.onclose = () => {
+      this.socket = null;
+      if (this.closed) return;
+      const delay = Math.min(1000 * 2 ** this.retries++, MAX_RECONNECT_DELAY);
+      this.timer = setTimeout(() => this.open(), delay);
+    };
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.socket?.close();
+    this.socket = null;
+    this.queue = [];
+  }
+
+  post(message) {
+    // Unsubscribed: don't reconnect just to send this
+    if (this.closed) return;
+    this.open();
+    const frame = JSON.stringify({ ...message, topic: this.topic });
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(frame);
+    } else {
+      this.queue.push(frame);
+    }
+  }
+}
+
+// The relay's URL, or a `ConfigurationError` saying why it can't be used.
+// `new WebSocket` would only throw once a channel is opened.
+function parseRelayUrl(url) {
+  if (!url) {
+    throw new ConfigurationError('The websocket transport needs a relay URL (VITE_RELAY_URL or ?relay=)');
+  }
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ConfigurationError(`The relay URL "${url}" is not a valid URL`);
+  }
+  if (parsed.protocol !== 'ws:' && parsed.protocol !== 'wss:') {
+    throw new ConfigurationError(`The relay URL "${url}" must start with ws:// or wss://`);
+  }
+  return parsed.href;
+}
+
+export function createWebSocketTransport({ url }) {
+  url = parseRelayUrl(url);
+  return {
+    name: 'websocket',
+    channel: (topic) => new WebSocketChannel(topic, url),
+  };
+}
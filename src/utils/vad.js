@@ -0,0 +1,132 @@
+import { AutoModel, Tensor } from '@xenova/transformers';
+
+// Voice activity detection for the transcription worker.
+//
+// A detector turns 32 ms frames of 16 kHz audio into speech probabilities;
+// `SpeechSegmenter` turns those into utterances. Silero VAD is used when its
+// model loads, with a cheap energy-based detector as fallback.
+
+export const VAD_SAMPLING_RATE = 16_000;
+export const VAD_FRAME_SIZE = 512; // samples (32 ms), what Silero expects
+
+const SILERO_MODEL_ID = 'onnx-community/silero-vad';
+
+export class SileroVad {
+  static kind = 'silero';
+
+  static async create(progress_callback = null) {
+    const model = await AutoModel.from_pretrained(SILERO_MODEL_ID, {
+      config: { model_type: 'custom' },
+      dtype: 'fp32',
+      progress_callback,
+    });
+    return new SileroVad(model);
+  }
+
+  constructor(model) {
+    this.model = model;
+    this.sr = new Tensor('int64', [BigInt(VAD_SAMPLING_RATE)], []);
+    this.reset();
+  }
+
+  reset() {
+    this.state = new Tensor('float32', new Float32Array(2 * 1 * 128), [2, 1, 128]);
+  }
+
+  async process(frame) {
+    const input = new Tensor('float32', frame, [1, frame.length]);
+    const { output, stateN } = await this.model({ input, sr: this.sr, state: this.state });
+    this.state = stateN;
+    return output.data[0];
+  }
+}
+
+// Compares frame loudness with a slowly adapting estimate of the background
+// noise. Crude, but needs no model and works well with a headset.
+export class EnergyVad {
+  static kind = 'energy';
+
+  constructor({ ratio = 3, minRms = 0.005 } = {}) {
+    this.ratio = ratio;
+    this.minRms = minRms;
+    this.reset();
+  }
+
+  reset() {
+    this.noiseFloor = this.minRms;
+  }
+
+  async process(frame) {
+    let sum = 0;
+    for (let i = 0; i < frame.length; ++i) sum += frame[i] * frame[i];
+    const rms = Math.sqrt(sum / frame.length);
+
+    // Track the noise floor quickly downwards and slowly upwards
+    const rate = rms < this.noiseFloor ? 0.2 : 0.01;
+    this.noiseFloor = Math.max(this.minRms, this.noiseFloor + (rms - this.noiseFloor) * rate);
+
+    // Map "ratio times louder than the noise" to a probability of 0.5
+    const snr = rms / (this.noiseFloor * this.ratio);
+    return Math.min(1, snr / 2);
+  }
+}
+
+/**
+ * Hysteresis over per-frame speech probabilities. Positions are sample
+ * offsets into the audio fed so far.
+ *
+ * `push(probability, offset)` returns 'start' when speech begins, 'end' once
+ * it has been followed by `minSilenceMs` of silence, and null otherwise.
+ * After 'end', `speechStart`/`speechEnd` delimit the utterance.
+ */
+export class SpeechSegmenter {
+  constructor({
+    positiveThreshold = 0.5,
+    negativeThreshold = 0.35,
+    minSilenceMs = 700,
+    minSpeechMs = 250,
+  } = {}) {
+    this.positiveThreshold = positiveThreshold;
+    this.negativeThreshold = negativeThreshold;
+    this.minSilenceSamples = (minSilenceMs / 1000) * VAD_SAMPLING_RATE;
+    this.minSpeechSamples = (minSpeechMs / 1000) * VAD_SAMPLING_RATE;
+    this.reset();
+  }
+
+  reset() {
+    this.inSpeech = false;
+    this.speechStart = null;
+    this.speechEnd = null;
+    this.silenceStart = null;
+  }
+
+  push(probability, offset) {
+    if (!this.inSpeech) {
+      if (probability < this.positiveThreshold) return null;
+      this.inSpeech = true;
+      this.speechStart = offset;
+      this.speechEnd = null;
+      this.silenceStart = null;
+      return 'start';
+    }
+
+    if (probability >= this.negativeThreshold) {
+      this.silenceStart = null;
+      return null;
+    }
+
+    this.silenceStart ??= offset;
+    if (offset + VAD_FRAME_SIZE - this.silenceStart < this.minSilenceSamples) {
+      return null;
+    }
+
+    this.inSpeech = false;
+    this.speechEnd = this.silenceStart;
+    if (this.speechEnd - this.speechStart < this.minSpeechSamples) {
+      // Too short to be speech (a click or a cough): forget it
+      this.speechStart = null;
+      return null;
+    }
+    return 'end';
+  }
+}
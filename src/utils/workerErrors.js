@@ -0,0 +1,69 @@
+// Errors reported by the workers. Besides their usual statuses, both workers
+// post
+//
+//   { status: 'error', code, message, fatal, ...context }
+//
+// where `code` is one of `ERROR_CODES` and `context` says what failed (e.g.
+// the translation job `id`). After a fatal error the worker is unusable and
+// should be replaced; otherwise it carries on with the next piece of work.
+
+export const ERROR_CODES = {
+  LOAD_FAILED: 'load-failed',
+  OUT_OF_MEMORY: 'out-of-memory',
+  DEVICE_LOST: 'device-lost',
+  UNSUPPORTED_LANGUAGE: 'unsupported-language',
+  UNKNOWN: 'unknown',
+};
+
+const DESCRIPTIONS = {
+  [ERROR_CODES.LOAD_FAILED]: 'The model could not be loaded. Check your connection.',
+  [ERROR_CODES.OUT_OF_MEMORY]:
+    'Ran out of memory. Try a smaller model or lower precision, or close other tabs.',
+  [ERROR_CODES.DEVICE_LOST]: 'The GPU was reset or became unavailable.',
+  [ERROR_CODES.UNSUPPORTED_LANGUAGE]: 'This language is not supported by the model.',
+  [ERROR_CODES.UNKNOWN]: 'Something went wrong.',
+};
+
+// Matched against the messages thrown by ONNX Runtime, WebGPU and
+// Transformers.js, most specific first
+const PATTERNS = [
+  [ERROR_CODES.OUT_OF_MEMORY, /out of memory|\boom\b|bad_alloc|allocation failed|memory access out of bounds/i],
+  [ERROR_CODES.DEVICE_LOST, /device (is |was )?lost|devicelost/i],
+  [ERROR_CODES.UNSUPPORTED_LANGUAGE, /language\b.*\b(not supported|not valid|invalid|unsupported)|unsupported language/i],
+];
+
+// Fatal errors in a row after which a worker is no longer replaced
+// automatically, so a model that can't load isn't downloaded forever
+export const MAX_AUTO_RESTARTS = 2;
+
+// What a worker can no longer recover from without being replaced
+const FATAL = new Set([
+  ERROR_CODES.LOAD_FAILED,
+  ERROR_CODES.OUT_OF_MEMORY,
+  ERROR_CODES.DEVICE_LOST,
+]);
+
+export function classifyError(error, { loading = false } = {}) {
+  const message = String(error?.message ?? error);
+  const match = PATTERNS.find(([, pattern]) => pattern.test(message));
+  if (match) return match[0];
+  return loading ? ERROR_CODES.LOAD_FAILED : ERROR_CODES.UNKNOWN;
+}
+
+// The `error` message a worker posts for `error`. Pass `loading` if it was
+// thrown while loading a model.
+export function createErrorMessage(error, { loading = false, ...context } = {}) {
+  const code = classifyError(error, { loading });
+  return {
+    status: 'error',
+    code,
+    message: String(error?.message ?? error),
+    fatal: FATAL.has(code),
+    ...context,
+  };
+}
+
+// Human-readable explanation of an error code
+export function describeError(code) {
+  return DESCRIPTIONS[code] ?? DESCRIPTIONS[ERROR_CODES.UNKNOWN];
+}
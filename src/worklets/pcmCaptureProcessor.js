@@ -0,0 +1,66 @@
+/* global sampleRate */
+
+// Captures microphone audio as mono Float32 PCM at `targetSampleRate` and
+// streams it, in chunks of `chunkSize` samples, to whoever holds the other end
+// of the MessagePort sent to us with `{ type: 'port', port }`. Chunks are
+// transferred, not copied, so the consumer (the transcription worker) gets
+// them without going through the main thread.
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor({ processorOptions }) {
+    super();
+    this.ratio = sampleRate / processorOptions.targetSampleRate;
+    this.chunkSize = processorOptions.chunkSize;
+    this.chunk = new Float32Array(this.chunkSize);
+    this.length = 0;
+
+    // Read position for resampling, relative to the current block. -1 is the
+    // last sample of the previous block.
+    this.position = 0;
+    this.last = 0;
+
+    this.output = null;
+    this.port.onmessage = (e) => {
+      if (e.data.type === 'port') this.output = e.data.port;
+    };
+  }
+
+  emit(value) {
+    this.chunk[this.length++] = value;
+    if (this.length < this.chunkSize) return;
+    this.output?.postMessage(this.chunk, [this.chunk.buffer]);
+    this.chunk = new Float32Array(this.chunkSize);
+    this.length = 0;
+  }
+
+  process(inputs) {
+    const channels = inputs[0];
+    if (!channels?.length) return true;
+
+    // Downmix to mono
+    const size = channels[0].length;
+    const mono = new Float32Array(size);
+    for (const channel of channels) {
+      for (let i = 0; i < size; ++i) mono[i] += channel[i] / channels.length;
+    }
+
+    if (this.ratio === 1) {
+      for (let i = 0; i < size; ++i) this.emit(mono[i]);
+      return true;
+    }
+
+    // Linear interpolation between neighbouring input samples
+    const at = (k) => (k < 0 ? this.last : mono[k]);
+    while (this.position <= size - 1) {
+      const k = Math.floor(this.position);
+      const frac = this.position - k;
+      this.emit(frac === 0 ? at(k) : at(k) + (at(k + 1) - at(k)) * frac);
+      this.position += this.ratio;
+    }
+    this.position -= size;
+    this.last = mono[size - 1];
+
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);